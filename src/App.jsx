@@ -1,9 +1,152 @@
 ﻿import { Fragment, useEffect, useMemo, useState, useRef, useCallback } from 'react';
-import axios from 'axios';
 import * as XLSX from 'xlsx';
+import {
+  buildSessionKey,
+  deletePeriodSummary,
+  deleteSession,
+  listCompanies,
+  listCompanyPeriods,
+  listSessions,
+  loadPeriodSummary,
+  loadSession,
+  savePeriodSummary,
+  saveSession,
+} from './storage';
+import PdfViewer from './PdfViewer';
+import {
+  COVER_SHEET_NAME,
+  readVerifiedWorkbook,
+  toSheetKey,
+  workbookToLineItems,
+} from './workbookImport';
+import {
+  DEFAULT_EXTRACTION_SETTINGS,
+  describeExtractionError,
+  isCancelledError,
+  runExtraction,
+} from './extractionClient';
+import {
+  collectFormulaMetrics,
+  compileStepsToFormula,
+  evaluateFormula,
+  formatFormulaReference,
+  parseFormula,
+} from './sopFormula';
 import './App.css';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5005';
+const AUTOSAVE_DELAY_MS = 1500;
+const FOCUSED_CELL_HIGHLIGHT_MS = 4000;
+const UPLOAD_CONCURRENCY = 2;
+const EXTRACTION_STAGE_MESSAGES = [
+  'Uploading PDF to the server...',
+  'Extracting structured text from the document...',
+  'Rebuilding financial tables...',
+  'Preparing line items for review...',
+];
+const EXTRACTION_STAGE_INTERVAL_MS = 20000;
+const UPLOAD_STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Processing',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  ready: 'Ready',
+};
+const ANALYST_NAME_STORAGE_KEY = 'financial-qc-analyst-name';
+const AUDIT_MERGE_WINDOW_MS = 60000;
+const PROJECT_FILE_FORMAT = 'financial-qc-project';
+const PROJECT_FILE_VERSION = 2;
+const PROJECT_FILE_EXTENSION = '.qcproj';
+const HISTORY_LIMIT = 200;
+const CROSS_FOOT_SETTINGS_STORAGE_KEY = 'financial-qc-cross-foot-settings';
+const DEFAULT_CROSS_FOOT_SETTINGS = { tolerance: 1, enforcement: 'warn' };
+const EXTRACTION_SETTINGS_STORAGE_KEY = 'financial-qc-extraction-settings';
+const MAX_EXTRACTION_RETRIES = 5;
+const DEFAULT_PRIOR_OUTLIER_PERCENT = 25;
+const EMPTY_REPORT_METADATA = {
+  company: '',
+  ticker: '',
+  fiscalPeriod: '',
+  periodEnd: '',
+  periodType: '',
+  currency: '',
+  unitScale: '',
+  scope: '',
+};
+const REPORT_PERIOD_TYPES = [
+  { value: 'quarter', label: 'Quarter' },
+  { value: 'half-year', label: 'Half year' },
+  { value: 'nine-months', label: 'Nine months' },
+  { value: 'annual', label: 'Annual' },
+];
+const REPORT_UNIT_SCALES = [
+  { value: 'units', label: 'Units', short: '', factor: 1 },
+  { value: 'thousands', label: 'Thousands', short: "'000", factor: 1e3 },
+  { value: 'millions', label: 'Millions', short: 'Mn', factor: 1e6 },
+  { value: 'billions', label: 'Billions', short: 'Bn', factor: 1e9 },
+];
+const FORMULA_OPERATOR_LABELS = {
+  '+': 'Add (+)',
+  '-': 'Subtract (-)',
+  '*': 'Multiply (*)',
+  '/': 'Divide (/)',
+  '<': 'Less than',
+  '>': 'Greater than',
+  '<=': 'At most',
+  '>=': 'At least',
+  '=': 'Equal to',
+  '<>': 'Not equal to',
+};
+const DEFAULT_UNIT_SETTINGS = { target: 'units', statements: {} };
+const PER_SHARE_PATTERN = /per share|\beps\b/i;
+const REPORT_SCOPES = [
+  { value: 'consolidated', label: 'Consolidated (Group)' },
+  { value: 'company', label: 'Company only' },
+];
+const SERVER_METADATA_ALIASES = {
+  company: ['company', 'companyName', 'Company'],
+  ticker: ['ticker', 'symbol', 'Ticker'],
+  fiscalPeriod: ['fiscalPeriod', 'period', 'Fiscal Period'],
+  periodEnd: ['periodEnd', 'periodEndDate', 'Period End'],
+  periodType: ['periodType', 'Period Type'],
+  currency: ['currency', 'Currency'],
+  unitScale: ['unitScale', 'units', 'scale', 'Unit Scale'],
+  scope: ['scope', 'basis', 'Basis'],
+};
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 28;
+const TOTAL_ROW_PATTERN = /\b(sub-?\s?total|total)\b|^net cash\b/i;
+const DOCUMENT_STATE_KEYS = [
+  'lineItems',
+  'valueColumns',
+  'sopSummary',
+  'manualSopEntries',
+  'verifiedStatements',
+  'unitSettings',
+  'latestColumnOverrides',
+  'sopAggregationRules',
+  'originalValues',
+  'qcComplete',
+  'sopTemplate',
+];
+const SOP_TEMPLATES_STORAGE_KEY = 'financial-qc-sop-templates';
+const SOP_EXPECTED_SIGNS = [
+  { value: 'any', label: 'Any' },
+  { value: 'positive', label: 'Positive' },
+  { value: 'negative', label: 'Negative' },
+];
+
+const SOP_AGGREGATION_RULES = [
+  { value: 'sum', label: 'Sum of classified rows' },
+  { value: 'single', label: 'Single classified row' },
+  { value: 'latest', label: 'Extracted row, latest column' },
+  { value: 'stored', label: 'Stored value (imported)' },
+];
+
+const SOP_SIGN_RULES = [
+  { value: 'as-reported', label: 'As reported' },
+  { value: 'absolute', label: 'Absolute value' },
+  { value: 'negate', label: 'Flip sign' },
+];
 
 const SOP_METRICS = [
   'Revenues',
@@ -37,11 +180,153 @@ const SOP_METRICS = [
   'Tot. No. of Shares',
 ];
 
+const createSopMetricDefinition = (overrides = {}) => ({
+  name: '',
+  unit: 'currency',
+  expectedSign: 'any',
+  description: '',
+  ...overrides,
+});
+
+const POSITIVE_STANDARD_METRICS = new Set([
+  'Revenues',
+  'Fixed Assets',
+  'Inventory',
+  'Trade Receivables',
+  'Cash',
+  'Current Assets',
+  'Total Assets',
+  'Trade Payables',
+  'Current Liabilities',
+  'Total Liabilities',
+  'Share Price Quaterly',
+  'Tot. No. of Shares',
+]);
+
+const STANDARD_METRIC_UNITS = {
+  'Share Price Quaterly': 'per share',
+  'Tot. No. of Shares': 'shares',
+};
+
+const BUILT_IN_SOP_TEMPLATES = [
+  {
+    id: 'standard',
+    name: 'Corporate (standard)',
+    builtIn: true,
+    metrics: SOP_METRICS.map((name) => createSopMetricDefinition({
+      name,
+      unit: STANDARD_METRIC_UNITS[name] || 'currency',
+      expectedSign: POSITIVE_STANDARD_METRICS.has(name) ? 'positive' : 'any',
+    })),
+  },
+  {
+    id: 'bank',
+    name: 'Bank',
+    builtIn: true,
+    metrics: [
+      createSopMetricDefinition({ name: 'Net Interest Income', description: 'Interest income less interest expense.' }),
+      createSopMetricDefinition({ name: 'Interest Income', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Interest Expense' }),
+      createSopMetricDefinition({ name: 'Net Fee and Commission Income' }),
+      createSopMetricDefinition({ name: 'Impairment Charges', description: 'Credit loss expense on loans and other financial assets.' }),
+      createSopMetricDefinition({ name: 'Operating Expenses' }),
+      createSopMetricDefinition({ name: 'Profit Before Tax' }),
+      createSopMetricDefinition({ name: 'Taxation' }),
+      createSopMetricDefinition({ name: 'Net Profit' }),
+      createSopMetricDefinition({ name: 'Loans and Advances', expectedSign: 'positive', description: 'Net of impairment allowances.' }),
+      createSopMetricDefinition({ name: 'Deposits', expectedSign: 'positive', description: 'Due to customers.' }),
+      createSopMetricDefinition({ name: 'Cash', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Total Assets', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Total Liabilities', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Total Equity' }),
+      createSopMetricDefinition({ name: 'Total Debt' }),
+      createSopMetricDefinition({ name: 'OCF Qtrly' }),
+      createSopMetricDefinition({ name: 'Share Price Quaterly', unit: 'per share', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Tot. No. of Shares', unit: 'shares', expectedSign: 'positive' }),
+    ],
+  },
+  {
+    id: 'insurer',
+    name: 'Insurer',
+    builtIn: true,
+    metrics: [
+      createSopMetricDefinition({ name: 'Gross Written Premium', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Net Earned Premium', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Net Claims Incurred' }),
+      createSopMetricDefinition({ name: 'Investment Income' }),
+      createSopMetricDefinition({ name: 'Underwriting Result', description: 'Net earned premium less claims and acquisition costs.' }),
+      createSopMetricDefinition({ name: 'Profit Before Tax' }),
+      createSopMetricDefinition({ name: 'Taxation' }),
+      createSopMetricDefinition({ name: 'Net Profit' }),
+      createSopMetricDefinition({ name: 'Financial Investments', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Insurance Contract Liabilities', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Cash', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Total Assets', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Total Liabilities', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Total Equity' }),
+      createSopMetricDefinition({ name: 'OCF Qtrly' }),
+      createSopMetricDefinition({ name: 'Share Price Quaterly', unit: 'per share', expectedSign: 'positive' }),
+      createSopMetricDefinition({ name: 'Tot. No. of Shares', unit: 'shares', expectedSign: 'positive' }),
+    ],
+  },
+];
+
+const DEFAULT_SOP_TEMPLATE = BUILT_IN_SOP_TEMPLATES[0];
+
+// Subtracted operands flagged `magnitude` are compared by absolute value because
+// reports show expenses and outflows either as positives or in brackets.
+const SOP_IDENTITY_RULES = [
+  {
+    id: 'balance-sheet',
+    label: 'Total Assets = Total Liabilities + Total Equity',
+    comparison: 'equal',
+    left: [{ metric: 'Total Assets' }],
+    right: [{ metric: 'Total Liabilities' }, { metric: 'Total Equity' }],
+  },
+  {
+    id: 'gross-profit',
+    label: 'Gross profit \u2264 Revenues',
+    comparison: 'atMost',
+    left: [{ metric: 'Gross profit' }],
+    right: [{ metric: 'Revenues' }],
+  },
+  {
+    id: 'free-cash-flow',
+    label: 'FCF Qtrly = OCF Qtrly \u2212 Capital Exp Qtrly',
+    comparison: 'equal',
+    left: [{ metric: 'FCF Qtrly' }],
+    right: [{ metric: 'OCF Qtrly' }, { metric: 'Capital Exp Qtrly', sign: -1, magnitude: true }],
+  },
+  {
+    id: 'net-profit',
+    label: 'Net Profit = Profit Before Tax \u2212 Taxation',
+    comparison: 'equal',
+    left: [{ metric: 'Net Profit' }],
+    right: [{ metric: 'Profit Before Tax' }, { metric: 'Taxation', sign: -1, magnitude: true }],
+  },
+];
+
 const WORKSPACE_TABS = [
   { id: 'overview', label: 'Overview' },
   { id: 'statements', label: 'Statements' },
   { id: 'sop', label: 'SOP Summary' },
+  { id: 'compare', label: 'Compare' },
   { id: 'exports', label: 'Exports' },
+  { id: 'companies', label: 'Companies' },
+  { id: 'history', label: 'History' },
+];
+
+const ROW_METADATA_KEYS = [
+  'rowId',
+  'statement',
+  'lineItem',
+  'Line Item',
+  'classification',
+  'aiConfidence',
+  'page',
+  'pageNumber',
+  'bbox',
+  'boundingBox',
 ];
 
 const parseNumericValue = (input) => {
@@ -67,6 +352,17 @@ const parseNumericValue = (input) => {
   return value;
 };
 
+const computePercentChange = (current, prior) => {
+  const currentValue = parseNumericValue(current);
+  const priorValue = parseNumericValue(prior);
+  if (currentValue === null || priorValue === null || priorValue === 0) {
+    return null;
+  }
+  return ((currentValue - priorValue) / Math.abs(priorValue)) * 100;
+};
+
+const formatPercentChange = (change) => (change === null ? '-' : `${change > 0 ? '+' : ''}${change.toFixed(1)}%`);
+
 const formatNumericValue = (value) => {
   if (!Number.isFinite(value)) {
     return null;
@@ -82,7 +378,7 @@ const formatNumericValue = (value) => {
     .replace(/\.$/, '');
 };
 
-const appendThreeZeros = (input) => {
+const convertScaledValue = (input, factor) => {
   if (input === null || typeof input === 'undefined') {
     return null;
   }
@@ -94,7 +390,54 @@ const appendThreeZeros = (input) => {
   if (numeric === null) {
     return null;
   }
-  return formatNumericValue(numeric * 1000);
+  return formatNumericValue(numeric * factor);
+};
+
+const getUnitFactor = (scale) => REPORT_UNIT_SCALES.find((option) => option.value === scale)?.factor || null;
+
+const describeUnit = (scale, currency = '') => {
+  const option = REPORT_UNIT_SCALES.find((entry) => entry.value === scale);
+  if (!option) {
+    return '';
+  }
+  return [currency.trim(), option.short].filter(Boolean).join(' ') || option.label;
+};
+
+// `declared` is what the report prints; `current` is only set once values have been
+// converted, so converting again or restoring always starts from a known scale.
+// `declaredText` keeps the printed cell text so restoring gives back exactly that.
+const resolveDeclaredScale = (entry, column, fallback = '') => (
+  entry?.columns?.[column] || entry?.declared || fallback || ''
+);
+
+const resolveColumnScale = (entry, column, fallback = '') => (
+  entry?.current || resolveDeclaredScale(entry, column, fallback)
+);
+
+// Sessions saved before units existed only recorded whether x1,000 had been applied.
+const normaliseUnitSettings = (settings, legacyMultiplierApplied = {}) => {
+  const statements = {};
+  Object.entries(legacyMultiplierApplied || {}).forEach(([statement, applied]) => {
+    if (applied) {
+      statements[statement] = { declared: 'thousands', columns: {}, current: 'units' };
+    }
+  });
+  Object.entries(settings?.statements || {}).forEach(([statement, entry]) => {
+    statements[statement] = {
+      declared: findOptionValue(REPORT_UNIT_SCALES, entry?.declared),
+      columns: Object.fromEntries(Object.entries(entry?.columns || {})
+        .map(([column, scale]) => [column, findOptionValue(REPORT_UNIT_SCALES, scale)])
+        .filter(([, scale]) => scale)),
+      current: findOptionValue(REPORT_UNIT_SCALES, entry?.current),
+      declaredText: entry?.current && entry?.declaredText && typeof entry.declaredText === 'object'
+        ? entry.declaredText
+        : {},
+    };
+  });
+  return {
+    target: findOptionValue(REPORT_UNIT_SCALES, settings?.target) || DEFAULT_UNIT_SETTINGS.target,
+    statements,
+  };
 };
 
 const convertValueToPositive = (input) => {
@@ -132,6 +475,17 @@ const toTrimmed = (value) => {
 
 const normaliseKey = (value) => toTrimmed(value).toLowerCase();
 
+const PAGE_RANGE_PATTERN = /^\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*$/;
+
+const base64ToFile = (base64, name) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let idx = 0; idx < binary.length; idx += 1) {
+    bytes[idx] = binary.charCodeAt(idx);
+  }
+  return new File([bytes], name || 'report.pdf', { type: 'application/pdf' });
+};
+
 const buildEmptySopEditDraft = () => ({
   value: '',
   statement: '',
@@ -139,7 +493,61 @@ const buildEmptySopEditDraft = () => ({
   sourceLine: '',
 });
 
-const buildEmptySopSummary = () => SOP_METRICS.map((metric) => ({
+const normaliseSopTemplate = (input) => {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.metrics)) {
+    return null;
+  }
+  const seen = new Set();
+  const metrics = [];
+  input.metrics.forEach((metric) => {
+    const name = toTrimmed(typeof metric === 'string' ? metric : metric?.name);
+    if (!name || seen.has(name)) {
+      return;
+    }
+    seen.add(name);
+    metrics.push(createSopMetricDefinition({
+      name,
+      unit: toTrimmed(metric?.unit),
+      expectedSign: SOP_EXPECTED_SIGNS.some((sign) => sign.value === metric?.expectedSign) ? metric.expectedSign : 'any',
+      description: toTrimmed(metric?.description),
+    }));
+  });
+  if (!metrics.length) {
+    return null;
+  }
+  return {
+    id: toTrimmed(input.id) || `custom-${Date.now()}`,
+    name: toTrimmed(input.name) || 'Untitled template',
+    builtIn: Boolean(input.builtIn),
+    metrics,
+  };
+};
+
+const readCustomSopTemplates = () => {
+  if (typeof window === 'undefined') {
+    return [];
+  }
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SOP_TEMPLATES_STORAGE_KEY) || '[]');
+    return (Array.isArray(stored) ? stored : [])
+      .map((template) => normaliseSopTemplate({ ...template, builtIn: false }))
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+};
+
+const getTemplateMetricNames = (template) => (template?.metrics || []).map((metric) => metric.name);
+
+const violatesExpectedSign = (value, expectedSign) => {
+  const numeric = parseNumericValue(value);
+  if (numeric === null || numeric === 0) {
+    return false;
+  }
+  return (expectedSign === 'positive' && numeric < 0) || (expectedSign === 'negative' && numeric > 0);
+};
+
+const buildEmptySopSummary = (metricNames = SOP_METRICS) => metricNames.map((metric) => ({
   metric,
   value: '-',
   statement: '',
@@ -157,7 +565,7 @@ const createEmptyCalculationStep = (overrides = {}) => ({
   ...overrides,
 });
 
-const normaliseSopSummaryEntries = (entries) => {
+const normaliseSopSummaryEntries = (entries, metricNames = SOP_METRICS) => {
   const populated = new Map();
 
   if (Array.isArray(entries)) {
@@ -176,7 +584,7 @@ const normaliseSopSummaryEntries = (entries) => {
     });
   }
 
-  return SOP_METRICS.map((metric) => {
+  return metricNames.map((metric) => {
     if (populated.has(metric)) {
       return populated.get(metric);
     }
@@ -191,115 +599,1057 @@ const normaliseSopSummaryEntries = (entries) => {
   });
 };
 
-function App() {
-  const [pdfName, setPdfName] = useState('');
-  const [pdfBase64, setPdfBase64] = useState('');
-  const [lineItems, setLineItems] = useState([]);
-  const [activeStatement, setActiveStatement] = useState('');
-  const [valueColumns, setValueColumns] = useState([]);
-  const [sopSummary, setSopSummary] = useState(() => buildEmptySopSummary());
-  const [candidateMetrics, setCandidateMetrics] = useState([]);
-  const [manualSopEntries, setManualSopEntries] = useState({});
-  const [sopMetadata, setSopMetadata] = useState(() => ({ latestColumns: {} }));
-  const [expandedSopMetrics, setExpandedSopMetrics] = useState({});
-  const [breakdownDrafts, setBreakdownDrafts] = useState({});
-  const [qcComplete, setQcComplete] = useState(false);
-  const [loading, setLoading] = useState(false);
-  const [status, setStatus] = useState(null);
-  const [error, setError] = useState('');
-  const [showManualEntry, setShowManualEntry] = useState(false);
-  const [manualRow, setManualRow] = useState({ statement: '', lineItem: '', values: {} });
-  const [verifiedStatements, setVerifiedStatements] = useState({});
-  const [activeWorkspaceTab, setActiveWorkspaceTab] = useState('overview');
-  const [pdfZoom, setPdfZoom] = useState(1);
-  const [statementMultiplierApplied, setStatementMultiplierApplied] = useState({});
-  const [editingSopMetric, setEditingSopMetric] = useState(null);
-  const [sopEditDraft, setSopEditDraft] = useState(() => buildEmptySopEditDraft());
-  const [selectedRowIds, setSelectedRowIds] = useState(() => new Set());
-  const [bulkClassificationMetric, setBulkClassificationMetric] = useState('');
-  const loadingIntervalRef = useRef(null);
-  const selectAllCheckboxRef = useRef(null);
+const normaliseBoundingBox = (input) => {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+  let box = null;
+  if (Array.isArray(input)) {
+    if (input.length !== 4) {
+      return null;
+    }
+    const [x0, top, x1, bottom] = input.map(Number);
+    box = { x0, top, x1, bottom };
+  } else if (['x0', 'top', 'x1', 'bottom'].every((key) => key in input)) {
+    box = {
+      x0: Number(input.x0),
+      top: Number(input.top),
+      x1: Number(input.x1),
+      bottom: Number(input.bottom),
+    };
+  } else if (['x', 'y', 'width', 'height'].every((key) => key in input)) {
+    box = {
+      x0: Number(input.x),
+      top: Number(input.y),
+      x1: Number(input.x) + Number(input.width),
+      bottom: Number(input.y) + Number(input.height),
+    };
+  }
+  if (!box || !Object.values(box).every(Number.isFinite) || box.x1 <= box.x0 || box.bottom <= box.top) {
+    return null;
+  }
+  return box;
+};
 
-  useEffect(() => {
-    if (!loading) {
-      if (loadingIntervalRef.current) {
-        clearInterval(loadingIntervalRef.current);
-        loadingIntervalRef.current = null;
-      }
+// Backend provenance is optional: a 1-based page plus a top-left-origin box in PDF points.
+const readRowLocation = (row) => {
+  if (!row || typeof row !== 'object') {
+    return null;
+  }
+  const page = Number(row.page ?? row.pageNumber);
+  if (!Number.isInteger(page) || page < 1) {
+    return null;
+  }
+  return {
+    page,
+    bbox: normaliseBoundingBox(row.bbox ?? row.boundingBox),
+  };
+};
+
+const describeRowPages = (rows) => {
+  const pages = rows.map(readRowLocation).filter(Boolean).map((location) => location.page);
+  if (!pages.length) {
+    return '';
+  }
+  const first = Math.min(...pages);
+  const last = Math.max(...pages);
+  return first === last ? `${first}` : `${first}-${last}`;
+};
+
+const buildCellKey = (rowId, columnName) => `${rowId}||${columnName}`;
+
+// Exports are named after the report, e.g. "ACME_Q2-FY2024_verified.xlsx", falling back to the PDF name.
+const buildExportFileName = (metadata, sourceName) => {
+  const reportParts = [metadata.ticker || metadata.company, metadata.fiscalPeriod]
+    .map((part) => toTrimmed(part).replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '-'))
+    .filter(Boolean);
+  const baseName = reportParts.length === 2
+    ? reportParts.join('_')
+    : toTrimmed(sourceName).replace(/\.pdf$/i, '');
+  return baseName ? `${baseName}_verified.xlsx` : 'verified_line_items.xlsx';
+};
+
+const toCellText = (value) => (value === null || typeof value === 'undefined' ? '' : value.toString());
+
+const buildOriginalValueMap = (items, columns) => {
+  const map = {};
+  items.forEach((item) => {
+    if (!item || typeof item !== 'object' || !item.rowId) {
       return;
     }
+    columns.forEach((column) => {
+      map[buildCellKey(item.rowId, column)] = toCellText(item[column]);
+    });
+  });
+  return map;
+};
 
-    if (typeof window === 'undefined') {
+const collectCellChanges = (fromItems, toItems, columns) => {
+  const previousById = new Map();
+  fromItems.forEach((item) => {
+    if (item?.rowId) {
+      previousById.set(item.rowId, item);
+    }
+  });
+  const changes = [];
+  toItems.forEach((item) => {
+    const previous = item?.rowId ? previousById.get(item.rowId) : null;
+    if (!previous) {
       return;
     }
+    columns.forEach((column) => {
+      const before = toCellText(previous[column]);
+      const after = toCellText(item[column]);
+      if (before !== after) {
+        changes.push({ row: item, column, previous: before, current: after });
+      }
+    });
+  });
+  return changes;
+};
 
-    const messages = [
-      'Uploading PDF to the server...',
-      'Extracting structured text from the document...',
-      'Rebuilding financial tables...',
-      'Preparing line items for review...',
-    ];
+const readCrossFootSettings = () => {
+  if (typeof window === 'undefined') {
+    return DEFAULT_CROSS_FOOT_SETTINGS;
+  }
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CROSS_FOOT_SETTINGS_STORAGE_KEY) || 'null');
+    const tolerance = Number(stored?.tolerance);
+    return {
+      tolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_CROSS_FOOT_SETTINGS.tolerance,
+      enforcement: stored?.enforcement === 'block' ? 'block' : DEFAULT_CROSS_FOOT_SETTINGS.enforcement,
+    };
+  } catch {
+    return DEFAULT_CROSS_FOOT_SETTINGS;
+  }
+};
 
-    let index = 0;
-    setStatus({
-      type: 'info',
-      message: `${messages[index]} This can take 2-3 minutes.`,
+const readExtractionSettings = () => {
+  if (typeof window === 'undefined') {
+    return DEFAULT_EXTRACTION_SETTINGS;
+  }
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(EXTRACTION_SETTINGS_STORAGE_KEY) || 'null');
+    const timeoutMinutes = Number(stored?.timeoutMinutes);
+    const maxRetries = Number(stored?.maxRetries);
+    return {
+      timeoutMinutes: Number.isFinite(timeoutMinutes) && timeoutMinutes > 0
+        ? timeoutMinutes
+        : DEFAULT_EXTRACTION_SETTINGS.timeoutMinutes,
+      maxRetries: Number.isInteger(maxRetries) && maxRetries >= 0
+        ? Math.min(maxRetries, MAX_EXTRACTION_RETRIES)
+        : DEFAULT_EXTRACTION_SETTINGS.maxRetries,
+    };
+  } catch {
+    return DEFAULT_EXTRACTION_SETTINGS;
+  }
+};
+
+const classifyCrossFootRow = (row, columns) => {
+  if (!columns.some((column) => parseNumericValue(row[column]) !== null)) {
+    return 'heading';
+  }
+  return TOTAL_ROW_PATTERN.test(toTrimmed(row.lineItem || row['Line Item'])) ? 'total' : 'detail';
+};
+
+// Walks upwards from each total row. Once a detail row is reached the block runs
+// to the previous total, a heading or the start of the statement, and the whole
+// block is compared. Earlier totals are summed as single components and their
+// own block is skipped, so "Total assets" can foot against its subtotals; a run
+// of subtotals has no delimiter, so there the first running sum within tolerance
+// (or the closest) is used.
+const crossFootColumn = (rows, kinds, column, tolerance) => {
+  const values = rows.map((row) => parseNumericValue(row[column]));
+  const blockStarts = [];
+  const checks = [];
+  rows.forEach((row, index) => {
+    blockStarts[index] = index;
+    if (kinds[index] !== 'total' || values[index] === null) {
+      return;
+    }
+    let sum = 0;
+    let start = index;
+    let componentCount = 0;
+    let sawDetail = false;
+    let best = null;
+    let cursor = index - 1;
+    while (cursor >= 0) {
+      const kind = kinds[cursor];
+      if (kind === 'heading') {
+        if (sawDetail) {
+          break;
+        }
+        cursor -= 1;
+        continue;
+      }
+      const componentIndex = cursor;
+      if (kind === 'total') {
+        if (sawDetail) {
+          break;
+        }
+        start = Math.min(start, blockStarts[cursor]);
+        cursor = blockStarts[cursor] - 1;
+      } else {
+        sawDetail = true;
+        start = cursor;
+        cursor -= 1;
+      }
+      sum += values[componentIndex] ?? 0;
+      componentCount += 1;
+      const difference = values[index] - sum;
+      const candidate = { expected: sum, difference, componentCount, start };
+      if (sawDetail) {
+        best = candidate;
+        continue;
+      }
+      if (Math.abs(difference) <= tolerance + 1e-9) {
+        best = candidate;
+        break;
+      }
+      if (!best || Math.abs(difference) < Math.abs(best.difference)) {
+        best = candidate;
+      }
+    }
+    if (!best) {
+      return;
+    }
+    blockStarts[index] = best.start;
+    checks.push({
+      rowId: row.rowId,
+      column,
+      actual: values[index],
+      expected: best.expected,
+      difference: best.difference,
+      componentCount: best.componentCount,
+      passed: Math.abs(best.difference) <= tolerance + 1e-9,
     });
+  });
+  return checks;
+};
 
-    const intervalId = window.setInterval(() => {
-      index = (index + 1) % messages.length;
-      setStatus({
-        type: 'info',
-        message: `${messages[index]} Still working...`,
-      });
-    }, 20000);
+// Pairs re-extracted rows with the current ones by label, in order, so repeated labels
+// keep their positions. Matched rows keep their id, classification, provenance and any
+// column the incoming row does not carry. `keepCell` protects hand-corrected cells and
+// `keepManualRows` keeps rows added by hand that the incoming rows do not match.
+const mergeStatementRows = (currentRows, incomingRows, columns, statement, { keepCell, keepManualRows = false } = {}) => {
+  const unmatched = new Map();
+  currentRows.forEach((row) => {
+    const key = normaliseKey(row.lineItem || row['Line Item']);
+    if (!unmatched.has(key)) {
+      unmatched.set(key, []);
+    }
+    unmatched.get(key).push(row);
+  });
+  const stamp = Date.now();
+  const changes = [];
+  const keptCells = [];
+  const rows = incomingRows.map((incoming, index) => {
+    const { verified: _discardVerified, Verified: _discardVerifiedUpper, ...rest } = incoming;
+    const label = toTrimmed(rest.lineItem || rest['Line Item']);
+    const previous = unmatched.get(normaliseKey(label))?.shift() || null;
+    const row = {
+      ...previous,
+      ...rest,
+      rowId: previous?.rowId || rest.rowId || `reextract-${stamp}-${index}`,
+      statement,
+      lineItem: label,
+      classification: previous?.classification || rest.classification || '',
+    };
+    if (!previous) {
+      changes.push({ type: 'added', row });
+      return row;
+    }
+    columns.forEach((column) => {
+      const before = toCellText(previous[column]);
+      const after = toCellText(row[column]);
+      if (before === after) {
+        return;
+      }
+      if (keepCell?.(previous, column)) {
+        row[column] = previous[column];
+        keptCells.push({ row, column, before, after });
+        return;
+      }
+      changes.push({ type: 'changed', row, column, before, after });
+    });
+    return row;
+  });
+  const keptRows = [];
+  unmatched.forEach((remaining) => {
+    remaining.forEach((row) => {
+      if (keepManualRows && toTrimmed(row.rowId).startsWith('manual-')) {
+        keptRows.push(row);
+        return;
+      }
+      changes.push({ type: 'removed', row });
+    });
+  });
+  return { rows: [...rows, ...keptRows], changes, keptCells, keptRows };
+};
 
-    loadingIntervalRef.current = intervalId;
+const findMatchingColumnName = (row, columnName) => {
+  const targetKey = normaliseKey(columnName);
+  if (!targetKey) {
+    return '';
+  }
+  return Object.keys(row || {}).find((key) => normaliseKey(key) === targetKey) || '';
+};
 
-    return () => {
-      clearInterval(intervalId);
-      loadingIntervalRef.current = null;
+// Resolves a statement line item to a number, trying the column hint, then the statement's
+// latest column, then every value column. Candidates passed over are kept with the reason
+// so the SOP tab can explain the choice. Returns null when no row carries the label, and
+// a result with a null numericValue when a row exists but no column holds a number.
+const createLineItemResolver = (lineItemLookup, latestColumns, valueColumns) => {
+  const latestColumnByStatement = new Map();
+  Object.entries(latestColumns || {}).forEach(([statementName, columnName]) => {
+    const normalisedStatement = normaliseKey(statementName);
+    const trimmedColumn = toTrimmed(columnName);
+    if (normalisedStatement && trimmedColumn && !latestColumnByStatement.has(normalisedStatement)) {
+      latestColumnByStatement.set(normalisedStatement, trimmedColumn);
+    }
+  });
+
+  return (statementName, lineItemName, columnHint) => {
+    const statementKey = normaliseKey(statementName);
+    const lineItemKey = normaliseKey(lineItemName);
+    if (!statementKey || !lineItemKey) {
+      return null;
+    }
+    const rows = lineItemLookup.get(`${statementKey}||${lineItemKey}`);
+    if (!rows || !rows.length) {
+      return null;
+    }
+
+    const candidates = [];
+    const skipped = [];
+    const seen = new Set();
+    const enqueue = (row, candidateColumn, origin) => {
+      const resolvedColumn = findMatchingColumnName(row, candidateColumn);
+      if (!resolvedColumn) {
+        if (origin === 'column hint' || origin === 'latest column') {
+          skipped.push({ column: toTrimmed(candidateColumn), origin, reason: 'column not on the row' });
+        }
+        return;
+      }
+      const identifier = `${row.rowId || buildRowKey(row)}||${resolvedColumn}`;
+      if (seen.has(identifier)) {
+        return;
+      }
+      seen.add(identifier);
+      candidates.push({ row, column: resolvedColumn, origin });
     };
-  }, [loading]);
 
-  const totalRows = lineItems.length;
-  const sopMetricOptions = useMemo(() => {
-    const merged = new Set(SOP_METRICS);
-    if (Array.isArray(candidateMetrics)) {
-      candidateMetrics.forEach((metric) => {
-        const name = typeof metric === 'string' ? metric.trim() : '';
-        if (name) {
-          merged.add(name);
+    if (toTrimmed(columnHint)) {
+      rows.forEach((row) => enqueue(row, columnHint, 'column hint'));
+    }
+    const metaColumn = latestColumnByStatement.get(statementKey);
+    if (metaColumn) {
+      rows.forEach((row) => enqueue(row, metaColumn, 'latest column'));
+    }
+    valueColumns.forEach((columnName) => {
+      rows.forEach((row) => enqueue(row, columnName, 'statement column'));
+    });
+    rows.forEach((row) => {
+      Object.keys(row).forEach((key) => {
+        if (!ROW_METADATA_KEYS.includes(key)) {
+          enqueue(row, key, 'other field');
         }
       });
-    }
-    lineItems.forEach((item) => {
-      const name = typeof item?.classification === 'string' ? item.classification.trim() : '';
-      if (name) {
-        merged.add(name);
-      }
     });
-    return Array.from(merged);
-  }, [candidateMetrics, lineItems]);
 
-  const statements = useMemo(() => (
-    Array.from(new Set(lineItems.map((item) => item.statement))).filter(Boolean)
-  ), [lineItems]);
+    for (let idx = 0; idx < candidates.length; idx += 1) {
+      const candidate = candidates[idx];
+      const raw = candidate.row[candidate.column];
+      const numeric = raw === null || typeof raw === 'undefined' ? null : parseNumericValue(raw);
+      if (numeric === null) {
+        skipped.push({
+          column: candidate.column,
+          origin: candidate.origin,
+          reason: toTrimmed(raw) ? 'not numeric' : 'empty',
+        });
+        continue;
+      }
+      return {
+        numericValue: numeric,
+        columnName: candidate.column,
+        statementName: candidate.row.statement || statementName,
+        lineItemName: candidate.row.lineItem || candidate.row['Line Item'] || lineItemName,
+        displayValue: raw,
+        row: candidate.row,
+        origin: candidate.origin,
+        skipped,
+      };
+    }
+
+    return {
+      numericValue: null,
+      columnName: '',
+      statementName: rows[0].statement || statementName,
+      lineItemName: rows[0].lineItem || rows[0]['Line Item'] || lineItemName,
+      displayValue: '',
+      row: rows[0],
+      origin: '',
+      skipped,
+    };
+  };
+};
+
+const readStatementEntry = (map, statementName) => {
+  const statementKey = normaliseKey(statementName);
+  return Object.entries(map || {}).find(([name]) => normaliseKey(name) === statementKey)?.[1] || '';
+};
+
+// Metrics without a saved rule add up their classified rows, or re-read the extracted row.
+const resolveAggregationRule = (rule, linkedRows) => {
+  const aggregation = SOP_AGGREGATION_RULES.some((option) => option.value === rule?.aggregation)
+    ? rule.aggregation
+    : 'sum';
+  return {
+    aggregation: linkedRows.length || aggregation === 'stored' ? aggregation : 'latest',
+    rowId: rule?.rowId || '',
+    sign: SOP_SIGN_RULES.some((option) => option.value === rule?.sign) ? rule.sign : 'as-reported',
+  };
+};
+
+const applySignRule = (value, sign) => {
+  if (sign === 'absolute') {
+    return Math.abs(value);
+  }
+  return sign === 'negate' ? -value : value;
+};
+
+const formatDerivedSopValue = (derived, fallback) => {
+  if (derived.missingPeriodColumn) {
+    return '-';
+  }
+  if (derived.total === null) {
+    return fallback;
+  }
+  return normaliseSopValue(derived.reportedValue ?? formatNumericValue(derived.total) ?? derived.total);
+};
 
-  const lineItemSuggestionsByStatement = useMemo(() => {
-    const map = new Map();
-    const addValue = (key, value) => {
-      if (!value) {
-        return;
-      }
-      if (!map.has(key)) {
-        map.set(key, new Set());
-      }
-      map.get(key).add(value);
-    };
-    lineItems.forEach((item) => {
-      if (!item || typeof item !== 'object') {
-        return;
+const describeCommonValue = (values, fallback) => {
+  const distinct = [...new Set(values.filter(Boolean))];
+  if (!distinct.length) {
+    return fallback;
+  }
+  return distinct.length === 1 ? distinct[0] : 'Multiple';
+};
+
+const buildRowKey = (row) => `${normaliseKey(row.statement)}||${normaliseKey(row.lineItem || row['Line Item'])}`;
+
+// Repeated labels within a statement are told apart by their occurrence (#2, #3, ...).
+const buildRowKeyIndex = (rows) => {
+  const counts = new Map();
+  const index = new Map();
+  rows.forEach((row) => {
+    if (!row || typeof row !== 'object') {
+      return;
+    }
+    const baseKey = buildRowKey(row);
+    const occurrence = (counts.get(baseKey) || 0) + 1;
+    counts.set(baseKey, occurrence);
+    index.set(occurrence > 1 ? `${baseKey}#${occurrence}` : baseKey, row);
+  });
+  return index;
+};
+
+const buildExtractionComparison = (leftRows, rightRows, leftColumns, rightColumns) => {
+  const leftIndex = buildRowKeyIndex(leftRows);
+  const rightIndex = buildRowKeyIndex(rightRows);
+  const columns = [...leftColumns, ...rightColumns.filter((column) => !leftColumns.includes(column))];
+  const keys = [...leftIndex.keys(), ...[...rightIndex.keys()].filter((key) => !leftIndex.has(key))];
+  const groups = new Map();
+  keys.forEach((key) => {
+    const left = leftIndex.get(key) || null;
+    const right = rightIndex.get(key) || null;
+    let difference = { key, kind: left ? 'removed' : 'added', left, right, cells: [] };
+    if (left && right) {
+      const cells = columns
+        .map((column) => ({ column, left: toTrimmed(left[column]), right: toTrimmed(right[column]) }))
+        .filter((cell) => cell.left !== cell.right);
+      if (!cells.length) {
+        return;
+      }
+      difference = { ...difference, kind: 'changed', cells };
+    }
+    const statement = toTrimmed((left || right).statement) || 'Unassigned';
+    if (!groups.has(statement)) {
+      groups.set(statement, []);
+    }
+    groups.get(statement).push(difference);
+  });
+  return Array.from(groups, ([statement, rows]) => ({ statement, rows }));
+};
+
+const syncSopEntriesWithRows = (entries, updatedRows, columns, removedRows = []) => {
+  const rowsByKey = new Map(updatedRows.map((row) => [buildRowKey(row), row]));
+  const removedKeys = new Set(removedRows.map(buildRowKey));
+  return entries.map((entry) => {
+    if (!entry || entry.manual || !entry.statement || !entry.sourceLine || !entry.column) {
+      return entry;
+    }
+    const key = `${normaliseKey(entry.statement)}||${normaliseKey(entry.sourceLine)}`;
+    if (removedKeys.has(key) && !rowsByKey.has(key)) {
+      return { ...entry, value: '-' };
+    }
+    const row = rowsByKey.get(key);
+    const column = columns.find((name) => normaliseKey(name) === normaliseKey(entry.column));
+    return row && column ? { ...entry, value: normaliseSopValue(toCellText(row[column])) } : entry;
+  });
+};
+
+const runCrossFootChecks = (rows, columns, tolerance) => {
+  const kinds = rows.map((row) => classifyCrossFootRow(row, columns));
+  return columns.flatMap((column) => crossFootColumn(rows, kinds, column, tolerance));
+};
+
+const evaluateSopIdentityRules = (entries, tolerance) => {
+  const valueByMetric = new Map(
+    (entries || []).map((entry) => [entry.metric, parseNumericValue(entry.value)]),
+  );
+  const appliesToCatalogue = (rule) => [...rule.left, ...rule.right]
+    .every((operand) => valueByMetric.has(operand.metric));
+  const sumOperands = (operands, missing) => operands.reduce((sum, operand) => {
+    const value = valueByMetric.get(operand.metric);
+    if (value === null || typeof value === 'undefined') {
+      missing.push(operand.metric);
+      return sum;
+    }
+    return sum + ((operand.sign ?? 1) * (operand.magnitude ? Math.abs(value) : value));
+  }, 0);
+  return SOP_IDENTITY_RULES.filter(appliesToCatalogue).map((rule) => {
+    const missing = [];
+    const left = sumOperands(rule.left, missing);
+    const right = sumOperands(rule.right, missing);
+    if (missing.length) {
+      return { ...rule, status: 'missing', missing, left: null, right: null, difference: null };
+    }
+    const difference = left - right;
+    const passed = rule.comparison === 'atMost'
+      ? difference <= tolerance + 1e-9
+      : Math.abs(difference) <= tolerance + 1e-9;
+    return { ...rule, status: passed ? 'pass' : 'fail', missing, left, right, difference };
+  });
+};
+
+const buildWorkspaceFromExtraction = (data, sopTemplate = DEFAULT_SOP_TEMPLATE) => {
+  const nextValueColumns = data.valueColumns || [];
+  const sopEntries = normaliseSopSummaryEntries(data.sopSummary, getTemplateMetricNames(sopTemplate));
+  const candidateMetricList = Array.isArray(data.candidateMetrics)
+    ? data.candidateMetrics
+    : [];
+
+  const incomingLineItems = data.lineItems || [];
+  const sanitizedLineItems = incomingLineItems.map((item) => {
+    if (!item || typeof item !== 'object') return item;
+    const { verified: _discardVerified, Verified: _discardVerifiedUpper, ...rest } = item;
+    return { ...rest };
+  });
+
+  const lineLookup = new Map();
+  sanitizedLineItems.forEach((item) => {
+    if (!item || typeof item !== 'object') {
+      return;
+    }
+    const statementKey = (item.statement || '').toString().toLowerCase().trim();
+    const labelKey = (item.lineItem || item['Line Item'] || '').toString().toLowerCase().trim();
+    if (!statementKey || !labelKey) {
+      return;
+    }
+    const key = `${statementKey}||${labelKey}`;
+    if (!lineLookup.has(key)) {
+      lineLookup.set(key, item);
+    }
+  });
+
+  const initialManualEntries = {};
+  sopEntries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      return;
+    }
+    const statementKey = entry.statement ? entry.statement.toString().toLowerCase().trim() : '';
+    const lineKey = entry.sourceLine ? entry.sourceLine.toString().toLowerCase().trim() : '';
+    const lookupKey = statementKey && lineKey ? `${statementKey}||${lineKey}` : '';
+    if (lookupKey && lineLookup.has(lookupKey)) {
+      const targetRow = lineLookup.get(lookupKey);
+      if (targetRow && !targetRow.classification && entry.metric) {
+        targetRow.classification = entry.metric;
+      }
+      return;
+    }
+    const hasDetails = [entry.statement, entry.column, entry.sourceLine, entry.value].some((field) => {
+      if (field === null || typeof field === 'undefined') {
+        return false;
+      }
+      const text = field.toString().trim();
+      return Boolean(text && text !== '-');
+    });
+    if (!hasDetails) {
+      return;
+    }
+    if (!initialManualEntries[entry.metric]) {
+      initialManualEntries[entry.metric] = [];
+    }
+    initialManualEntries[entry.metric].push({
+      id: `seed-${index}`,
+      statement: entry.statement || '',
+      lineItem: entry.sourceLine || '',
+      column: entry.column || '',
+      value: entry.value === '-' ? '' : (entry.value || ''),
+      calculation: Array.isArray(entry.calculation)
+        ? entry.calculation.map((step) => ({
+          ...createEmptyCalculationStep(),
+          ...step,
+          operator: step?.operator || '+',
+          statement: (step?.statement || '').trim(),
+          lineItem: (step?.lineItem || '').trim(),
+          column: (step?.column || '').trim(),
+          constant: (step?.constant || '').trim(),
+        }))
+        : [],
+      mode: entry.formula ? 'formula' : 'builder',
+      formula: (entry.formula || '').toString().trim(),
+    });
+  });
+
+  const statementsFromResponse = Array.from(new Set(sanitizedLineItems.map((item) => item?.statement))).filter(Boolean);
+
+  return {
+    pdfName: data.pdfName || '',
+    pdfBase64: data.pdfBase64 || '',
+    lineItems: sanitizedLineItems,
+    valueColumns: nextValueColumns,
+    candidateMetrics: candidateMetricList,
+    sopSummary: sopEntries,
+    sopTemplate,
+    sopMetadata: data.sopMetadata || { latestColumns: {} },
+    reportMetadata: readServerReportMetadata(data.reportMetadata || data.metadata),
+    manualSopEntries: initialManualEntries,
+    verifiedStatements: statementsFromResponse.reduce((acc, statement) => ({ ...acc, [statement]: false }), {}),
+    unitSettings: DEFAULT_UNIT_SETTINGS,
+    latestColumnOverrides: {},
+    sopAggregationRules: {},
+    qcComplete: false,
+    originalValues: buildOriginalValueMap(sanitizedLineItems, nextValueColumns),
+    auditLog: [],
+  };
+};
+
+const omitPdfPayload = (data) => {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  const { pdfBase64: _omitPdfBase64, ...rest } = data;
+  return rest;
+};
+
+// Version 2 added unitSettings, latestColumnOverrides and sopAggregationRules to the
+// workspace. Version 1 values are as printed (or x1,000 through the legacy
+// statementMultiplierApplied flag, which normaliseUnitSettings reads), the server's
+// latest columns apply, and SOP metrics keep reading their extracted row.
+const upgradeProjectWorkspace = (workspace) => ({
+  ...workspace,
+  unitSettings: normaliseUnitSettings(null, workspace.statementMultiplierApplied),
+  latestColumnOverrides: {},
+  sopAggregationRules: Object.fromEntries((Array.isArray(workspace.sopSummary) ? workspace.sopSummary : [])
+    .filter((entry) => entry?.metric)
+    .map((entry) => [entry.metric, { aggregation: 'latest' }])),
+});
+
+const parseProjectFile = (text) => {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new Error('The selected file is not valid JSON.');
+  }
+  if (!project || typeof project !== 'object' || project.format !== PROJECT_FILE_FORMAT) {
+    throw new Error(`The selected file is not a QC project (${PROJECT_FILE_EXTENSION}) file.`);
+  }
+  const version = Number(project.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('The project file does not declare a valid version.');
+  }
+  if (version > PROJECT_FILE_VERSION) {
+    throw new Error('This project file was saved by a newer version of the workbench. Please update and try again.');
+  }
+  if (!project.extraction || typeof project.extraction !== 'object') {
+    throw new Error('The project file does not contain an extraction result.');
+  }
+  const workspace = project.workspace && typeof project.workspace === 'object' ? project.workspace : {};
+  return {
+    extraction: project.extraction,
+    workspace: version >= 2 ? workspace : upgradeProjectWorkspace(workspace),
+  };
+};
+
+const isSameDocumentState = (left, right) => DOCUMENT_STATE_KEYS.every((key) => left?.[key] === right?.[key]);
+
+const createHistoryEntry = (label, snapshot, message = '', mergeKey = '') => ({
+  id: `history-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+  label,
+  message,
+  mergeKey,
+  timestamp: Date.now(),
+  snapshot,
+});
+
+const isHistoryShortcutTarget = (target) => {
+  if (!target || typeof target.closest !== 'function') {
+    return true;
+  }
+  if (!target.closest('input, textarea, select, [contenteditable="true"]')) {
+    return true;
+  }
+  return Boolean(target.closest('[data-history-scope]'));
+};
+
+const normaliseReportMetadata = (input) => Object.fromEntries(
+  Object.entries(EMPTY_REPORT_METADATA).map(([field, fallback]) => [
+    field,
+    typeof input?.[field] === 'string' ? input[field] : fallback,
+  ]),
+);
+
+const findOptionValue = (options, input) => {
+  const key = normaliseKey(input);
+  return options.find((option) => option.value === key || normaliseKey(option.label) === key)?.value || '';
+};
+
+// Servers (and workbook cover sheets) name these fields loosely; anything that does
+// not map onto a known option is left blank for the analyst to fill in.
+const readServerReportMetadata = (source) => {
+  if (!source || typeof source !== 'object') {
+    return EMPTY_REPORT_METADATA;
+  }
+  const read = (field) => toTrimmed(
+    SERVER_METADATA_ALIASES[field].map((alias) => source[alias]).find((value) => typeof value === 'string'),
+  );
+  const periodEnd = read('periodEnd').slice(0, 10);
+  const scopeText = normaliseKey(read('scope'));
+  let scope = findOptionValue(REPORT_SCOPES, scopeText);
+  if (!scope && typeof source.consolidated === 'boolean') {
+    scope = source.consolidated ? 'consolidated' : 'company';
+  } else if (!scope && scopeText) {
+    scope = /group|consolidated/.test(scopeText) ? 'consolidated' : /company/.test(scopeText) ? 'company' : '';
+  }
+  return {
+    company: read('company'),
+    ticker: read('ticker').toUpperCase(),
+    fiscalPeriod: read('fiscalPeriod'),
+    periodEnd: /^\d{4}-\d{2}-\d{2}$/.test(periodEnd) ? periodEnd : '',
+    periodType: findOptionValue(REPORT_PERIOD_TYPES, read('periodType')),
+    currency: /^[a-z]{3}$/i.test(read('currency')) ? read('currency').toUpperCase() : '',
+    unitScale: findOptionValue(REPORT_UNIT_SCALES, read('unitScale')),
+    scope,
+  };
+};
+
+const validateReportMetadata = (metadata) => {
+  const issues = [];
+  if (!metadata.company.trim()) issues.push('company');
+  if (!metadata.fiscalPeriod.trim()) issues.push('fiscal period');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(metadata.periodEnd) || Number.isNaN(Date.parse(metadata.periodEnd))) {
+    issues.push('period end date');
+  }
+  if (!findOptionValue(REPORT_PERIOD_TYPES, metadata.periodType)) issues.push('period type');
+  if (!/^[A-Z]{3}$/.test(metadata.currency)) issues.push('three-letter currency code');
+  if (!findOptionValue(REPORT_UNIT_SCALES, metadata.unitScale)) issues.push('unit scale');
+  if (!findOptionValue(REPORT_SCOPES, metadata.scope)) issues.push('consolidated or company-only basis');
+  return issues;
+};
+
+const describeOption = (options, value) => options.find((option) => option.value === value)?.label || '';
+
+const compareSeriesPeriods = (left, right) => {
+  if (left.periodEnd && right.periodEnd && left.periodEnd !== right.periodEnd) {
+    return left.periodEnd.localeCompare(right.periodEnd);
+  }
+  return (left.period || '').localeCompare(right.period || '', undefined, { numeric: true });
+};
+
+const buildMetricSeries = (records) => {
+  const periods = [...records].sort(compareSeriesPeriods);
+  const metrics = [];
+  const units = new Map();
+  periods.forEach((record) => {
+    (record.metrics || []).forEach((entry) => {
+      if (!metrics.includes(entry.metric)) {
+        metrics.push(entry.metric);
+      }
+      if (entry.unit) {
+        units.set(entry.metric, entry.unit);
+      }
+    });
+  });
+  return {
+    periods,
+    rows: metrics.map((metric) => ({
+      metric,
+      unit: units.get(metric) || '',
+      values: periods.map((record) => record.metrics?.find((entry) => entry.metric === metric)?.value ?? '-'),
+    })),
+  };
+};
+
+const Sparkline = ({ values }) => {
+  const points = values
+    .map((value, index) => ({ value: parseNumericValue(value), index }))
+    .filter((point) => point.value !== null);
+  if (points.length < 2) {
+    return <span className="sparkline-empty">-</span>;
+  }
+  const numbers = points.map((point) => point.value);
+  const min = Math.min(...numbers);
+  const range = Math.max(...numbers) - min || 1;
+  const step = SPARKLINE_WIDTH / Math.max(values.length - 1, 1);
+  const coordinates = points.map((point) => [
+    point.index * step,
+    SPARKLINE_HEIGHT - 2 - ((point.value - min) / range) * (SPARKLINE_HEIGHT - 4),
+  ]);
+  const [lastX, lastY] = coordinates[coordinates.length - 1];
+  return (
+    <svg className="sparkline" width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} viewBox={`-2 0 ${SPARKLINE_WIDTH + 4} ${SPARKLINE_HEIGHT}`}>
+      <polyline
+        points={coordinates.map((point) => point.join(',')).join(' ')}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+      />
+      <circle cx={lastX} cy={lastY} r="2.5" fill="currentColor" />
+    </svg>
+  );
+};
+
+const createDocumentId = () => `doc-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const summariseDocumentProgress = (snapshot) => {
+  const statementNames = Array.from(new Set((snapshot?.lineItems || []).map((item) => item?.statement))).filter(Boolean);
+  return {
+    statements: statementNames.length,
+    reviewed: statementNames.filter((statement) => snapshot?.verifiedStatements?.[statement]).length,
+    qcComplete: Boolean(snapshot?.qcComplete),
+  };
+};
+
+const isPdfFile = (file) => Boolean(file) && (file.type === 'application/pdf' || /\.pdf$/i.test(file.name || ''));
+
+const formatElapsed = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Servers without job support give no feedback while they work, so the old
+// rotating stage messages remain the fallback once the upload has gone through.
+const describeUploadProgress = (progress, elapsed) => {
+  if (progress?.source === 'job') {
+    return { message: progress.stage || 'Processing on the server...', percent: progress.percent };
+  }
+  if (progress?.source === 'retry') {
+    return { message: progress.stage, percent: null };
+  }
+  if (progress?.source === 'upload' && progress.percent < 100) {
+    return { message: progress.stage, percent: progress.percent };
+  }
+  return {
+    message: EXTRACTION_STAGE_MESSAGES[
+      Math.floor(elapsed / EXTRACTION_STAGE_INTERVAL_MS) % EXTRACTION_STAGE_MESSAGES.length
+    ],
+    percent: null,
+  };
+};
+
+const readEntryFiles = async (entry) => {
+  if (entry.isFile) {
+    return new Promise((resolve) => {
+      entry.file((file) => resolve([file]), () => resolve([]));
+    });
+  }
+  if (!entry.isDirectory) {
+    return [];
+  }
+  const reader = entry.createReader();
+  const readBatch = () => new Promise((resolve) => {
+    reader.readEntries(resolve, () => resolve([]));
+  });
+  const children = [];
+  // readEntries hands back directory contents in chunks until it returns an empty batch.
+  let batch = await readBatch();
+  while (batch.length) {
+    children.push(...batch);
+    batch = await readBatch();
+  }
+  const nested = await Promise.all(children.map(readEntryFiles));
+  return nested.flat();
+};
+
+const collectDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer?.items || [])
+    .map((item) => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (!entries.length) {
+    return Array.from(dataTransfer?.files || []);
+  }
+  const groups = await Promise.all(entries.map(readEntryFiles));
+  return groups.flat();
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+function App() {
+  const [pdfName, setPdfName] = useState('');
+  const [pdfBase64, setPdfBase64] = useState('');
+  const [lineItems, setLineItems] = useState([]);
+  const [activeStatement, setActiveStatement] = useState('');
+  const [valueColumns, setValueColumns] = useState([]);
+  const [sopTemplate, setSopTemplate] = useState(DEFAULT_SOP_TEMPLATE);
+  const [customSopTemplates, setCustomSopTemplates] = useState(readCustomSopTemplates);
+  const [catalogueDraft, setCatalogueDraft] = useState(null);
+  const [sopSummary, setSopSummary] = useState(() => buildEmptySopSummary());
+  const [candidateMetrics, setCandidateMetrics] = useState([]);
+  const [manualSopEntries, setManualSopEntries] = useState({});
+  const [sopMetadata, setSopMetadata] = useState(() => ({ latestColumns: {} }));
+  const [reportMetadata, setReportMetadata] = useState(EMPTY_REPORT_METADATA);
+  const [companyList, setCompanyList] = useState([]);
+  const [selectedCompanyKey, setSelectedCompanyKey] = useState('');
+  const [companyPeriods, setCompanyPeriods] = useState([]);
+  const [seriesRevision, setSeriesRevision] = useState(0);
+  const [expandedSopMetrics, setExpandedSopMetrics] = useState({});
+  const [breakdownDrafts, setBreakdownDrafts] = useState({});
+  const [qcComplete, setQcComplete] = useState(false);
+  const [uploadQueue, setUploadQueue] = useState([]);
+  const [queueClock, setQueueClock] = useState(() => Date.now());
+  const [dropActive, setDropActive] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [showManualEntry, setShowManualEntry] = useState(false);
+  const [manualRow, setManualRow] = useState({ statement: '', lineItem: '', values: {} });
+  const [verifiedStatements, setVerifiedStatements] = useState({});
+  const [activeWorkspaceTab, setActiveWorkspaceTab] = useState('overview');
+  const [pdfZoom, setPdfZoom] = useState(1);
+  const [pdfFitMode, setPdfFitMode] = useState('custom');
+  const [unitSettings, setUnitSettings] = useState(DEFAULT_UNIT_SETTINGS);
+  const [latestColumnOverrides, setLatestColumnOverrides] = useState({});
+  const [sopAggregationRules, setSopAggregationRules] = useState({});
+  const [focusedCell, setFocusedCell] = useState(null);
+  const [editingSopMetric, setEditingSopMetric] = useState(null);
+  const [sopEditDraft, setSopEditDraft] = useState(() => buildEmptySopEditDraft());
+  const [selectedRowIds, setSelectedRowIds] = useState(() => new Set());
+  const [bulkClassificationMetric, setBulkClassificationMetric] = useState('');
+  const [savedSessions, setSavedSessions] = useState([]);
+  const [deferredSessions, setDeferredSessions] = useState([]);
+  const [extractionResult, setExtractionResult] = useState(null);
+  const [history, setHistory] = useState(() => ({ entries: [], index: -1 }));
+  const [pdfHighlight, setPdfHighlight] = useState(null);
+  const [originalValues, setOriginalValues] = useState({});
+  const [auditLog, setAuditLog] = useState([]);
+  const [analystName, setAnalystName] = useState(() => {
+    if (typeof window === 'undefined') {
+      return '';
+    }
+    return window.localStorage.getItem(ANALYST_NAME_STORAGE_KEY) || '';
+  });
+  const [crossFootSettings, setCrossFootSettings] = useState(readCrossFootSettings);
+  const [extractionSettings, setExtractionSettings] = useState(readExtractionSettings);
+  const [documents, setDocuments] = useState([]);
+  const [activeDocumentId, setActiveDocumentId] = useState(null);
+  const [reviewOverrideStatement, setReviewOverrideStatement] = useState('');
+  const [historyOverwrite, setHistoryOverwrite] = useState(null);
+  const [reextraction, setReextraction] = useState(null);
+  const reextractionControllerRef = useRef(null);
+  const [comparison, setComparison] = useState(null);
+  const [priorPeriod, setPriorPeriod] = useState(null);
+  const [priorOutlierPercent, setPriorOutlierPercent] = useState(DEFAULT_PRIOR_OUTLIER_PERCENT);
+  const comparisonControllerRef = useRef(null);
+  const pendingHistoryRef = useRef(null);
+  const historyResetRef = useRef(null);
+  const historyRestoreRef = useRef(false);
+  const historyNormaliseRef = useRef(false);
+  const storedSessionPdfsRef = useRef(new Set());
+  const latestDocumentRef = useRef({
+    snapshot: null,
+    history: null,
+    activeDocumentId: null,
+    documents: [],
+  });
+  const selectAllCheckboxRef = useRef(null);
+  const processUploadItemRef = useRef(null);
+  const uploadControllersRef = useRef(new Map());
+
+  const hasProcessingUploads = uploadQueue.some((item) => item.status === 'processing');
+
+  useEffect(() => {
+    if (!hasProcessingUploads) {
+      return;
+    }
+    const intervalId = window.setInterval(() => setQueueClock(Date.now()), 1000);
+    return () => {
+      clearInterval(intervalId);
+    };
+  }, [hasProcessingUploads]);
+
+  const totalRows = lineItems.length;
+  const sopTemplateMetricNames = useMemo(() => getTemplateMetricNames(sopTemplate), [sopTemplate]);
+
+  const sopMetricDefinitions = useMemo(() => new Map(
+    (sopTemplate?.metrics || []).map((metric) => [metric.name, metric]),
+  ), [sopTemplate]);
+
+  const availableSopTemplates = useMemo(() => {
+    const templates = [...BUILT_IN_SOP_TEMPLATES, ...customSopTemplates];
+    if (sopTemplate && !templates.some((template) => template.id === sopTemplate.id)) {
+      templates.push({ ...sopTemplate, name: `${sopTemplate.name} (from report)` });
+    }
+    return templates;
+  }, [customSopTemplates, sopTemplate]);
+
+  const sopMetricOptions = useMemo(() => {
+    const merged = new Set(sopTemplateMetricNames);
+    if (Array.isArray(candidateMetrics)) {
+      candidateMetrics.forEach((metric) => {
+        const name = typeof metric === 'string' ? metric.trim() : '';
+        if (name) {
+          merged.add(name);
+        }
+      });
+    }
+    lineItems.forEach((item) => {
+      const name = typeof item?.classification === 'string' ? item.classification.trim() : '';
+      if (name) {
+        merged.add(name);
+      }
+    });
+    return Array.from(merged);
+  }, [sopTemplateMetricNames, candidateMetrics, lineItems]);
+
+  const statements = useMemo(() => (
+    Array.from(new Set(lineItems.map((item) => item.statement))).filter(Boolean)
+  ), [lineItems]);
+
+  const lineItemSuggestionsByStatement = useMemo(() => {
+    const map = new Map();
+    const addValue = (key, value) => {
+      if (!value) {
+        return;
+      }
+      if (!map.has(key)) {
+        map.set(key, new Set());
+      }
+      map.get(key).add(value);
+    };
+    lineItems.forEach((item) => {
+      if (!item || typeof item !== 'object') {
+        return;
       }
       const statementName = (item.statement || '').toString().trim();
       const lineItemName = (item.lineItem || item['Line Item'] || '').toString().trim();
@@ -358,48 +1708,40 @@ function App() {
   }, [statements]);
 
   useEffect(() => {
-    if (!statements.length) {
-      setStatementMultiplierApplied({});
-      return;
-    }
-    setStatementMultiplierApplied((prev) => {
-      const filtered = {};
-      statements.forEach((statement) => {
-        if (prev[statement]) {
-          filtered[statement] = true;
-        }
-      });
-      const prevKeys = Object.keys(prev).filter((key) => statements.includes(key));
-      if (prevKeys.length === Object.keys(filtered).length) {
-        const unchanged = statements.every((statement) => !!prev[statement] === !!filtered[statement]);
-        if (unchanged) {
-          return prev;
-        }
+    setUnitSettings((prev) => {
+      const staleStatements = Object.keys(prev.statements).filter((statement) => !statements.includes(statement));
+      if (!staleStatements.length) {
+        return prev;
       }
-      return filtered;
+      historyNormaliseRef.current = true;
+      return {
+        ...prev,
+        statements: Object.fromEntries(Object.entries(prev.statements)
+          .filter(([statement]) => statements.includes(statement))),
+      };
     });
   }, [statements]);
 
   useEffect(() => {
-    if (!statements.length) {
-      setVerifiedStatements({});
-      return;
-    }
-
     setVerifiedStatements((prev) => {
       const next = {};
       statements.forEach((statement) => {
         next[statement] = Object.prototype.hasOwnProperty.call(prev, statement) ? prev[statement] : false;
       });
+      if (Object.keys(prev).length === statements.length
+        && statements.every((statement) => prev[statement] === next[statement])) {
+        return prev;
+      }
+      historyNormaliseRef.current = true;
       return next;
     });
   }, [statements]);
 
   useEffect(() => {
-    if (!pdfBase64 && activeWorkspaceTab !== 'overview') {
+    if (!pdfBase64 && !lineItems.length && activeWorkspaceTab !== 'overview') {
       setActiveWorkspaceTab('overview');
     }
-  }, [pdfBase64, activeWorkspaceTab]);
+  }, [pdfBase64, lineItems.length, activeWorkspaceTab]);
 
   const visibleItems = useMemo(() => {
     if (!activeStatement) {
@@ -477,6 +1819,92 @@ function App() {
     });
   }, []);
 
+  const crossFootResults = useMemo(() => {
+    const results = {};
+    statements.forEach((statement) => {
+      const rows = lineItems.filter((item) => item.statement === statement);
+      const columns = filterColumnsForStatement(valueColumns, statement) || [];
+      const checks = runCrossFootChecks(rows, columns, crossFootSettings.tolerance);
+      results[statement] = {
+        byCell: new Map(checks.map((check) => [buildCellKey(check.rowId, check.column), check])),
+        checked: checks.length,
+        failures: checks.filter((check) => !check.passed).length,
+      };
+    });
+    return results;
+  }, [statements, lineItems, valueColumns, filterColumnsForStatement, crossFootSettings.tolerance]);
+
+  const crossFootFailureCount = Object.values(crossFootResults)
+    .reduce((sum, result) => sum + result.failures, 0);
+
+  const reextractionColumns = useMemo(() => {
+    if (!reextraction?.incomingColumns) {
+      return valueColumns;
+    }
+    return [
+      ...valueColumns,
+      ...reextraction.incomingColumns.filter((column) => !valueColumns.includes(column)),
+    ];
+  }, [reextraction, valueColumns]);
+
+  const reextractionMerge = useMemo(() => {
+    if (reextraction?.status !== 'review' || reextraction.documentId !== activeDocumentId) {
+      return null;
+    }
+    return mergeStatementRows(
+      lineItems.filter((row) => row.statement === reextraction.statement),
+      reextraction.incomingRows,
+      reextractionColumns,
+      reextraction.statement,
+      {
+        keepManualRows: true,
+        keepCell: (row, column) => {
+          const cellKey = buildCellKey(row.rowId, column);
+          return Object.prototype.hasOwnProperty.call(originalValues, cellKey)
+            && originalValues[cellKey] !== toCellText(row[column]);
+        },
+      },
+    );
+  }, [reextraction, activeDocumentId, lineItems, reextractionColumns, originalValues]);
+
+  const activePriorPeriod = priorPeriod && priorPeriod.documentId === activeDocumentId ? priorPeriod : null;
+
+  const priorStatementLookup = useMemo(() => {
+    const lookup = new Map();
+    (activePriorPeriod?.statements || []).forEach((statement) => {
+      const rowsByLabel = new Map();
+      statement.rows.forEach((row) => {
+        const labelKey = normaliseKey(row.lineItem);
+        if (labelKey && !rowsByLabel.has(labelKey)) {
+          rowsByLabel.set(labelKey, row);
+        }
+      });
+      lookup.set(toSheetKey(statement.name), { ...statement, rowsByLabel });
+    });
+    return lookup;
+  }, [activePriorPeriod]);
+
+  const priorSopByMetric = useMemo(() => new Map(
+    (activePriorPeriod?.sopSummary || []).map((entry) => [normaliseKey(entry.metric), entry]),
+  ), [activePriorPeriod]);
+
+  const comparisonGroups = useMemo(() => {
+    if (comparison?.status !== 'ready' || comparison.documentId !== activeDocumentId) {
+      return [];
+    }
+    const { kept } = comparison;
+    return buildExtractionComparison(lineItems, comparison.lineItems, valueColumns, comparison.valueColumns)
+      .map((group) => ({
+        ...group,
+        rows: group.rows
+          .map((row) => (row.kind === 'changed'
+            ? { ...row, cells: row.cells.filter((cell) => !kept.has(`${row.key}||${cell.column}`)) }
+            : row))
+          .filter((row) => (row.kind === 'changed' ? row.cells.length > 0 : !kept.has(row.key))),
+      }))
+      .filter((group) => group.rows.length > 0);
+  }, [comparison, activeDocumentId, lineItems, valueColumns]);
+
   const statementValueColumns = useMemo(() => {
     const baseColumns = filterColumnsForStatement(valueColumns, activeStatement);
     if (!visibleItems.length) {
@@ -551,265 +1979,237 @@ function App() {
     return lookup;
   }, [lineItems]);
 
-  const manualSopOverrides = useMemo(() => {
-    if (!manualSopEntries || !Object.keys(manualSopEntries).length) {
-      return {};
-    }
-
-    const latestColumnsInput = (sopMetadata && typeof sopMetadata === 'object')
-      ? sopMetadata.latestColumns || {}
-      : {};
-    const latestColumnByStatement = new Map();
-    Object.entries(latestColumnsInput).forEach(([statementName, columnName]) => {
-      const normalisedStatement = normaliseKey(statementName);
-      const trimmedColumn = toTrimmed(columnName);
-      if (!normalisedStatement || !trimmedColumn) {
-        return;
+  // Columns the reviewer picked on the SOP tab take precedence over the server's guess.
+  const effectiveLatestColumns = useMemo(() => {
+    const merged = {};
+    const serverColumns = sopMetadata && typeof sopMetadata === 'object' ? sopMetadata.latestColumns || {} : {};
+    Object.entries(serverColumns).forEach(([statementName, columnName]) => {
+      if (!readStatementEntry(latestColumnOverrides, statementName)) {
+        merged[statementName] = columnName;
       }
-      if (!latestColumnByStatement.has(normalisedStatement)) {
-        latestColumnByStatement.set(normalisedStatement, trimmedColumn);
+    });
+    Object.entries(latestColumnOverrides).forEach(([statementName, columnName]) => {
+      if (columnName) {
+        merged[statementName] = columnName;
       }
     });
+    return merged;
+  }, [sopMetadata, latestColumnOverrides]);
 
-    const findMatchingColumnName = (row, columnName) => {
-      const trimmed = toTrimmed(columnName);
-      if (!trimmed) {
-        return '';
+  const statementPeriodColumns = useMemo(() => Object.fromEntries(statements.map((statementName) => [
+    statementName,
+    valueColumns.filter((column) => lineItems.some((item) => (
+      item.statement === statementName && toTrimmed(item[column])
+    ))),
+  ])), [statements, valueColumns, lineItems]);
+
+  const lineItemResolver = useMemo(() => createLineItemResolver(
+    lineItemLookup,
+    effectiveLatestColumns,
+    valueColumns,
+  ), [lineItemLookup, effectiveLatestColumns, valueColumns]);
+
+  const autoSopEvaluation = useMemo(() => {
+    const rowsById = new Map(lineItems.map((item) => [item.rowId, item]));
+    const evaluations = {};
+    sopSummary.forEach((entry) => {
+      if (entry.manual) {
+        return;
       }
-      const targetKey = normaliseKey(trimmed);
-      const rowKeys = Object.keys(row || {});
-      for (let idx = 0; idx < rowKeys.length; idx += 1) {
-        const key = rowKeys[idx];
-        if (normaliseKey(key) === targetKey) {
-          return key;
-        }
+      const linkedRows = lineItemBreakdown[entry.metric] || [];
+      const rule = resolveAggregationRule(sopAggregationRules[entry.metric], linkedRows);
+      // The entry's own column stands in until a period column is known for the statement.
+      const periodColumnFor = (statementName) => readStatementEntry(latestColumnOverrides, statementName)
+        || (normaliseKey(statementName) === normaliseKey(entry.statement) ? entry.column : '')
+        || readStatementEntry(effectiveLatestColumns, statementName)
+        || entry.column;
+
+      if (rule.aggregation === 'stored') {
+        return;
       }
-      return '';
-    };
 
-    const resolveLineItemValue = (statementName, lineItemName, columnHint) => {
-      const statementKey = normaliseKey(statementName);
-      const lineItemKey = normaliseKey(lineItemName);
-      if (!statementKey || !lineItemKey) {
-        return null;
-      }
-      const lookupKey = `${statementKey}||${lineItemKey}`;
-      const rows = lineItemLookup.get(lookupKey);
-      if (!rows || !rows.length) {
-        return null;
+      if (rule.aggregation === 'latest') {
+        const periodColumn = readStatementEntry(latestColumnOverrides, entry.statement) || entry.column;
+        const resolved = entry.statement && entry.sourceLine
+          ? lineItemResolver(entry.statement, entry.sourceLine, periodColumn)
+          : null;
+        const readsPeriod = Boolean(resolved) && resolved.numericValue !== null
+          && (!periodColumn || normaliseKey(resolved.columnName) === normaliseKey(periodColumn));
+        const baseValue = readsPeriod ? resolved.numericValue : parseNumericValue(entry.value);
+        const chosenColumn = readStatementEntry(latestColumnOverrides, entry.statement);
+        evaluations[entry.metric] = {
+          rule,
+          parts: [],
+          missingPeriodColumn: chosenColumn && !readsPeriod ? chosenColumn : '',
+          total: baseValue === null ? null : applySignRule(baseValue, rule.sign),
+          reportedValue: rule.sign === 'as-reported' ? (readsPeriod ? resolved.displayValue : entry.value) : null,
+          statement: entry.statement,
+          column: readsPeriod ? resolved.columnName : entry.column,
+          sourceLine: entry.sourceLine,
+        };
+        return;
       }
 
-      const candidates = [];
-      const seen = new Set();
-
-      const enqueue = (row, candidateColumn) => {
-        if (!row) {
-          return;
-        }
-        const resolvedColumn = findMatchingColumnName(row, candidateColumn);
-        if (!resolvedColumn) {
-          return;
-        }
-        const identifier = `${row.rowId || `${normaliseKey(row.statement)}||${normaliseKey(row.lineItem || row['Line Item'])}`}||${resolvedColumn}`;
-        if (seen.has(identifier)) {
-          return;
-        }
-        seen.add(identifier);
-        candidates.push({ row, column: resolvedColumn });
-      };
-
-      rows.forEach((row) => {
-        if (columnHint) {
-          enqueue(row, columnHint);
-        }
-      });
-
-      const metaColumn = latestColumnByStatement.get(statementKey);
-      rows.forEach((row) => {
-        if (metaColumn) {
-          enqueue(row, metaColumn);
-        }
-      });
-
-      valueColumns.forEach((columnName) => {
-        rows.forEach((row) => enqueue(row, columnName));
-      });
-
-      rows.forEach((row) => {
-        Object.keys(row).forEach((key) => {
-          if (['rowId', 'statement', 'lineItem', 'Line Item', 'classification', 'aiConfidence'].includes(key)) {
-            return;
-          }
-          enqueue(row, key);
-        });
-      });
-
-      for (let idx = 0; idx < candidates.length; idx += 1) {
-        const candidate = candidates[idx];
-        const raw = candidate.row[candidate.column];
-        if (raw === null || typeof raw === 'undefined') {
-          continue;
-        }
-        const numeric = parseNumericValue(raw);
-        if (numeric === null) {
-          continue;
-        }
+      const selectedRows = rule.aggregation === 'single'
+        ? [linkedRows.find((item) => item.rowId === rule.rowId) || linkedRows[0]]
+        : linkedRows;
+      const parts = selectedRows.map((item) => {
+        const periodColumn = periodColumnFor(item.statement);
+        const row = rowsById.get(item.rowId);
+        const columnName = row && periodColumn ? findMatchingColumnName(row, periodColumn) : '';
+        const raw = columnName ? row[columnName] : null;
+        const value = raw === null || typeof raw === 'undefined' ? null : parseNumericValue(raw);
         return {
-          numericValue: numeric,
-          columnName: candidate.column,
-          statementName: candidate.row.statement || statementName,
-          lineItemName: candidate.row.lineItem || candidate.row['Line Item'] || lineItemName,
-          displayValue: raw,
+          rowId: item.rowId,
+          statement: item.statement,
+          lineItem: item.lineItem,
+          column: columnName || periodColumn,
+          value,
+          reason: value !== null ? '' : !periodColumn ? 'no period column' : columnName && toTrimmed(raw) ? 'not numeric' : 'empty',
         };
-      }
-
-      return null;
-    };
-
-    const evaluateEntry = (rawEntry) => {
-      if (!rawEntry || typeof rawEntry !== 'object') {
-        return null;
-      }
-      const entryStatement = toTrimmed(rawEntry.statement);
-      const entryLineItem = toTrimmed(rawEntry.lineItem);
-      const entryColumn = toTrimmed(rawEntry.column);
-      const entryValueText = toTrimmed(rawEntry.value);
-      const steps = Array.isArray(rawEntry.calculation) ? rawEntry.calculation : [];
-
-      const columnsUsed = new Set();
-      const formulaParts = [];
-
-      const addColumn = (columnName) => {
-        if (!columnName) {
-          return;
-        }
-        columnsUsed.add(columnName);
+      });
+      const counted = parts.filter((part) => part.value !== null);
+      evaluations[entry.metric] = {
+        rule,
+        parts,
+        missingPeriodColumn: counted.length
+          ? ''
+          : parts.map((part) => readStatementEntry(latestColumnOverrides, part.statement)).find(Boolean) || '',
+        total: counted.length
+          ? applySignRule(counted.reduce((sum, part) => sum + part.value, 0), rule.sign)
+          : null,
+        statement: describeCommonValue(counted.map((part) => part.statement), entry.statement),
+        column: describeCommonValue(counted.map((part) => part.column), entry.column),
+        sourceLine: counted.length ? counted.map((part) => part.lineItem).join(' + ') : entry.sourceLine,
       };
+    });
+    return evaluations;
+  }, [
+    lineItems,
+    sopSummary,
+    lineItemBreakdown,
+    sopAggregationRules,
+    latestColumnOverrides,
+    effectiveLatestColumns,
+    lineItemResolver,
+  ]);
 
-      let runningTotal = null;
-      let baseContext = null;
+  const manualSopEvaluation = useMemo(() => {
+    if (!manualSopEntries || !Object.keys(manualSopEntries).length) {
+      return { overrides: {}, entryIssues: {}, cycles: [], derivations: {} };
+    }
 
-      if (entryValueText) {
-        const numeric = parseNumericValue(entryValueText);
-        if (numeric === null) {
-          return null;
-        }
-        runningTotal = numeric;
-        const formatted = formatNumericValue(numeric) ?? numeric.toString();
-        formulaParts.push(`Manual value ${formatted}`);
-        addColumn('Manual Input');
-      } else if (entryStatement && entryLineItem) {
-        const resolved = resolveLineItemValue(entryStatement, entryLineItem, entryColumn);
-        if (!resolved) {
-          runningTotal = 0;
-          baseContext = {
-            statementName: entryStatement,
-            columnName: '',
-            lineItemName: entryLineItem,
-          };
-          formulaParts.push(`Start at 0 for ${entryLineItem} [${entryStatement}]`);
-        } else {
-          runningTotal = resolved.numericValue;
-          baseContext = resolved;
-          const valueDisplay = resolved.displayValue
-            ? normaliseSopValue(resolved.displayValue)
-            : formatNumericValue(resolved.numericValue) ?? resolved.numericValue.toString();
-          const columnDescriptor = resolved.columnName ? ` -> ${resolved.columnName}` : '';
-          formulaParts.push(`${resolved.lineItemName || entryLineItem} [${resolved.statementName || entryStatement}${columnDescriptor}] (${valueDisplay})`);
-          addColumn(resolved.columnName || '');
-        }
-      } else {
-        return null;
-      }
+    // Metrics derived from classified rows are referenced at their live value, not the stored one.
+    const metricValues = new Map(sopSummary.map((entry) => [
+      normaliseKey(entry.metric),
+      autoSopEvaluation[entry.metric] ? formatDerivedSopValue(autoSopEvaluation[entry.metric], entry.value) : entry.value,
+    ]));
+    const cyclicMetrics = new Set();
 
-      if (runningTotal === null) {
+    // Builder entries are compiled to the same formula language, so both evaluate alike.
+    const prepareEntry = (rawEntry) => {
+      if (!rawEntry || typeof rawEntry !== 'object') {
         return null;
       }
+      const formula = rawEntry.mode === 'formula'
+        ? toTrimmed(rawEntry.formula)
+        : compileStepsToFormula(rawEntry, parseNumericValue);
+      if (!formula) {
+        return { entry: rawEntry, error: rawEntry.mode === 'formula' ? 'Enter a formula.' : 'Complete the calculation steps.' };
+      }
+      const { ast, error } = parseFormula(formula);
+      return {
+        entry: rawEntry,
+        formula,
+        ast,
+        error: error?.message || '',
+        metrics: ast ? collectFormulaMetrics(ast).map(normaliseKey) : [],
+      };
+    };
 
-      for (let idx = 0; idx < steps.length; idx += 1) {
-        const step = steps[idx];
-        if (!step || typeof step !== 'object') {
-          continue;
-        }
-        const operator = ['+', '-', '*', '/'].includes(step.operator) ? step.operator : '+';
-        const stepConstant = toTrimmed(step.constant);
-        let operandValue = null;
-        let operandDescription = '';
-        let operandColumn = '';
-
-        if (stepConstant) {
-          const numeric = parseNumericValue(stepConstant);
-          if (numeric === null) {
-            return null;
-          }
-          operandValue = numeric;
-          const formatted = formatNumericValue(numeric) ?? numeric.toString();
-          operandDescription = `manual constant ${formatted}`;
-          operandColumn = 'Manual Input';
-        } else {
-          const operandStatement = toTrimmed(step.statement) || baseContext?.statementName || entryStatement;
-          const operandLineItem = toTrimmed(step.lineItem);
-          if (!operandLineItem) {
-            return null;
-          }
-          const operandColumnHint = toTrimmed(step.column) || baseContext?.columnName || entryColumn;
-          const resolved = resolveLineItemValue(operandStatement, operandLineItem, operandColumnHint);
-          if (!resolved) {
-            return null;
-          }
-          operandValue = resolved.numericValue;
-          operandColumn = resolved.columnName || '';
-          const valueDisplay = resolved.displayValue
-            ? normaliseSopValue(resolved.displayValue)
-            : formatNumericValue(resolved.numericValue) ?? resolved.numericValue.toString();
-          const columnDescriptor = resolved.columnName ? ` -> ${resolved.columnName}` : '';
-          operandDescription = `${resolved.lineItemName || operandLineItem} [${resolved.statementName || operandStatement}${columnDescriptor}] (${valueDisplay})`;
-        }
-
-        switch (operator) {
-          case '+':
-            runningTotal += operandValue;
-            break;
-          case '-':
-            runningTotal -= operandValue;
-            break;
-          case '*':
-            runningTotal *= operandValue;
-            break;
-          case '/':
-            if (operandValue === 0) {
+    // References without a column read the column of the first reference that resolved.
+    const evaluateEntry = ({ formula, ast }) => {
+      const columnsUsed = new Set();
+      const derivation = { formula, ast, values: new Map(), resolutions: new Map() };
+      let defaultColumn = '';
+      try {
+        const total = evaluateFormula(ast, {
+          resolveReference: (reference) => {
+            const resolved = lineItemResolver(reference.statement, reference.lineItem, reference.column || defaultColumn);
+            derivation.resolutions.set(reference, resolved);
+            if (!resolved || resolved.numericValue === null) {
               return null;
             }
-            runningTotal /= operandValue;
-            break;
-          default:
-            runningTotal += operandValue;
-            break;
-        }
-
-        if (!Number.isFinite(runningTotal)) {
-          return null;
+            defaultColumn = defaultColumn || resolved.columnName;
+            columnsUsed.add(resolved.columnName);
+            return resolved.numericValue;
+          },
+          resolveMetric: (metric) => (cyclicMetrics.has(normaliseKey(metric))
+            ? null
+            : parseNumericValue(metricValues.get(normaliseKey(metric)))),
+          onNode: (node, value) => derivation.values.set(node, value),
+        });
+        return {
+          total,
+          columns: columnsUsed.size ? Array.from(columnsUsed).filter(Boolean) : ['Manual Input'],
+          formula,
+          derivation: { ...derivation, total },
+        };
+      } catch (err) {
+        if (err?.name !== 'FormulaError') {
+          throw err;
         }
-
-        formulaParts.push(`${operator} ${operandDescription}`);
-        addColumn(operandColumn);
+        return { error: err.message, derivation: { ...derivation, error: err.message } };
       }
+    };
 
-      const formula = formulaParts
-        .map((part) => part.replace(/\s+/g, ' ').trim())
-        .filter(Boolean)
-        .join(' ');
+    const calculatedMetrics = new Map();
+    Object.entries(manualSopEntries).forEach(([metric, entries]) => {
+      if (Array.isArray(entries) && entries.length) {
+        calculatedMetrics.set(normaliseKey(metric), {
+          metric,
+          prepared: entries.map(prepareEntry).filter(Boolean),
+        });
+      }
+    });
 
-      return {
-        total: runningTotal,
-        columns: Array.from(columnsUsed).filter(Boolean),
-        formula,
-      };
+    // Depth-first ordering so every metric is evaluated after the metrics it references.
+    const order = [];
+    const cycles = [];
+    const visitState = new Map();
+    const visit = (key, path) => {
+      if (visitState.get(key) === 'done') {
+        return;
+      }
+      if (visitState.get(key) === 'visiting') {
+        const cycle = [...path.slice(path.indexOf(key)), key];
+        cycle.forEach((member) => cyclicMetrics.add(member));
+        cycles.push(cycle.map((member) => calculatedMetrics.get(member).metric));
+        return;
+      }
+      visitState.set(key, 'visiting');
+      calculatedMetrics.get(key).prepared.forEach((item) => {
+        item.metrics
+          .filter((dependency) => calculatedMetrics.has(dependency))
+          .forEach((dependency) => visit(dependency, [...path, key]));
+      });
+      visitState.set(key, 'done');
+      order.push(key);
     };
+    calculatedMetrics.forEach((_, key) => visit(key, []));
 
     const overrides = {};
-    Object.entries(manualSopEntries).forEach(([metric, entries]) => {
-      if (!Array.isArray(entries) || !entries.length) {
+    const entryIssues = {};
+    const derivations = {};
+    order.forEach((key) => {
+      const { metric, prepared } = calculatedMetrics.get(key);
+      derivations[metric] = [];
+      if (cyclicMetrics.has(key)) {
+        const cycle = cycles.find((members) => members.some((member) => normaliseKey(member) === key));
+        prepared.forEach(({ entry, formula }) => {
+          entryIssues[entry.id] = `Circular reference: ${cycle.join(' → ')}.`;
+          derivations[metric].push({ entryId: entry.id, formula, error: entryIssues[entry.id] });
+        });
         return;
       }
 
@@ -818,9 +2218,11 @@ function App() {
       const formulas = [];
       const columns = new Set();
 
-      entries.forEach((entry) => {
-        const result = evaluateEntry(entry);
-        if (!result) {
+      prepared.forEach((item) => {
+        const result = item.error ? { error: item.error } : evaluateEntry(item);
+        derivations[metric].push({ entryId: item.entry.id, formula: item.formula, ...result.derivation, error: result.error });
+        if (result.error) {
+          entryIssues[item.entry.id] = result.error;
           return;
         }
         aggregate += result.total;
@@ -853,16 +2255,33 @@ function App() {
         column: columnText,
         sourceLine,
       };
+      metricValues.set(key, valueText);
     });
 
-    return overrides;
-  }, [manualSopEntries, lineItemLookup, sopMetadata, valueColumns]);
+    return { overrides, entryIssues, cycles, derivations };
+  }, [manualSopEntries, lineItemResolver, sopSummary, autoSopEvaluation]);
+
+  const manualSopOverrides = manualSopEvaluation.overrides;
 
   const displayedSopSummary = useMemo(() => (
     sopSummary.map((entry) => {
       const override = manualSopOverrides[entry.metric];
       if (!override) {
-        return entry;
+        const derived = autoSopEvaluation[entry.metric];
+        // A chosen period column without a number shows as missing rather than the old period's value.
+        if (derived?.missingPeriodColumn) {
+          return { ...entry, value: '-', column: derived.missingPeriodColumn };
+        }
+        if (!derived || derived.total === null) {
+          return entry;
+        }
+        return {
+          ...entry,
+          value: formatDerivedSopValue(derived, entry.value),
+          statement: derived.statement,
+          column: derived.column,
+          sourceLine: derived.sourceLine,
+        };
       }
       const nextColumn = Object.prototype.hasOwnProperty.call(override, 'column')
         ? override.column
@@ -882,15 +2301,701 @@ function App() {
         manual: true,
       };
     })
-  ), [sopSummary, manualSopOverrides]);
+  ), [sopSummary, manualSopOverrides, autoSopEvaluation]);
+
+  const sopIdentityResults = useMemo(() => (
+    evaluateSopIdentityRules(displayedSopSummary, crossFootSettings.tolerance)
+  ), [displayedSopSummary, crossFootSettings.tolerance]);
+
+  const findRowByLabel = (statementName, lineItemName) => {
+    const statementKey = normaliseKey(statementName);
+    const lineItemKey = normaliseKey(lineItemName);
+    if (!statementKey || !lineItemKey) {
+      return null;
+    }
+    const rows = lineItemLookup.get(`${statementKey}||${lineItemKey}`);
+    return rows && rows.length ? rows[0] : null;
+  };
+
+  const handleLatestColumnChange = (statementName, column) => {
+    recordHistory(`Set the latest period column for ${statementName}`);
+    setLatestColumnOverrides((prev) => {
+      const next = { ...prev };
+      if (column) {
+        next[statementName] = column;
+      } else {
+        delete next[statementName];
+      }
+      return next;
+    });
+    setQcComplete(false);
+    setStatus({
+      type: 'info',
+      message: column
+        ? `SOP metrics from ${statementName} now read the ${column} column.`
+        : `SOP metrics from ${statementName} follow the extraction's latest column again.`,
+    });
+  };
+
+  const handleSopAggregationRuleChange = (metric, field, value) => {
+    recordHistory(`Changed how "${metric}" is derived`);
+    setSopAggregationRules((prev) => ({
+      ...prev,
+      [metric]: { ...prev[metric], [field]: value },
+    }));
+    setQcComplete(false);
+  };
+
+  const handleShowRowInStatements = (rowId, column = '') => {
+    const target = lineItems.find((item) => item.rowId === rowId);
+    if (!target) {
+      setStatus({ type: 'warning', message: 'That row is no longer in the statements.' });
+      return;
+    }
+    setActiveStatement(target.statement);
+    setActiveWorkspaceTab('statements');
+    setFocusedCell({ rowId, column, requestId: Date.now() });
+  };
+
+  useEffect(() => {
+    if (!focusedCell) {
+      return;
+    }
+    if (activeWorkspaceTab === 'statements') {
+      const element = document.querySelector(`[data-row-id="${CSS.escape(focusedCell.rowId)}"]`);
+      element?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    const timeoutId = window.setTimeout(() => setFocusedCell(null), FOCUSED_CELL_HIGHLIGHT_MS);
+    return () => {
+      clearTimeout(timeoutId);
+    };
+  }, [focusedCell, activeWorkspaceTab, activeStatement]);
+
+  const handleLocateRow = (row) => {
+    const location = readRowLocation(row);
+    const label = row?.lineItem || row?.['Line Item'] || 'Line item';
+    if (!location) {
+      setStatus({ type: 'info', message: `No PDF location was provided for "${label}".` });
+      return;
+    }
+    setPdfHighlight({
+      ...location,
+      label,
+      requestId: Date.now(),
+    });
+  };
+
+  const sessionKey = useMemo(() => buildSessionKey(pdfName, pdfBase64), [pdfName, pdfBase64]);
+
+  const sessionSnapshot = useMemo(() => ({
+    sessionKey,
+    pdfName,
+    pdfBase64,
+    lineItems,
+    valueColumns,
+    sopSummary,
+    sopTemplate,
+    candidateMetrics,
+    manualSopEntries,
+    sopMetadata,
+    reportMetadata,
+    verifiedStatements,
+    unitSettings,
+    latestColumnOverrides,
+    sopAggregationRules,
+    qcComplete,
+    extractionResult,
+    originalValues,
+    auditLog,
+  }), [
+    sessionKey,
+    pdfName,
+    pdfBase64,
+    lineItems,
+    valueColumns,
+    sopSummary,
+    sopTemplate,
+    candidateMetrics,
+    manualSopEntries,
+    sopMetadata,
+    reportMetadata,
+    verifiedStatements,
+    unitSettings,
+    latestColumnOverrides,
+    sopAggregationRules,
+    qcComplete,
+    extractionResult,
+    originalValues,
+    auditLog,
+  ]);
+
+  const activeCompanyKey = companyList.some((company) => company.companyKey === selectedCompanyKey)
+    ? selectedCompanyKey
+    : companyList[0]?.companyKey || '';
+
+  useEffect(() => {
+    if (activeWorkspaceTab !== 'companies') {
+      return;
+    }
+    let cancelled = false;
+    listCompanies()
+      .then((companies) => {
+        if (!cancelled) {
+          setCompanyList(companies);
+          // A company whose last period was removed drops out of the list.
+          setSelectedCompanyKey((current) => (
+            companies.some((company) => company.companyKey === current) ? current : ''
+          ));
+        }
+      })
+      .catch((err) => {
+        console.warn('Unable to read the company history.', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeWorkspaceTab, seriesRevision]);
+
+  useEffect(() => {
+    if (!activeCompanyKey || activeWorkspaceTab !== 'companies') {
+      return;
+    }
+    let cancelled = false;
+    listCompanyPeriods(activeCompanyKey)
+      .then((records) => {
+        if (!cancelled) {
+          setCompanyPeriods(records);
+        }
+      })
+      .catch((err) => {
+        console.warn('Unable to read the company history.', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeCompanyKey, activeWorkspaceTab, seriesRevision]);
+
+  const companySeries = useMemo(() => buildMetricSeries(
+    companyPeriods.filter((record) => record.companyKey === activeCompanyKey),
+  ), [companyPeriods, activeCompanyKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSessions()
+      .then((sessions) => {
+        if (!cancelled) {
+          sessions.forEach((session) => storedSessionPdfsRef.current.add(session.sessionKey));
+          setSavedSessions(sessions);
+        }
+      })
+      .catch((err) => {
+        console.warn('Unable to read saved QC sessions.', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    latestDocumentRef.current = {
+      snapshot: sessionSnapshot,
+      history,
+      activeDocumentId,
+      documents,
+    };
+  }, [sessionSnapshot, history, activeDocumentId, documents]);
+
+  // The PDF is written with the first save of a session; later saves carry only the document state.
+  const persistSession = (snapshot) => {
+    const storedPdfs = storedSessionPdfsRef.current;
+    const includePdf = !storedPdfs.has(snapshot.sessionKey);
+    return saveSession(snapshot, includePdf ? snapshot.pdfBase64 : '')
+      .then(() => {
+        storedPdfs.add(snapshot.sessionKey);
+      })
+      .catch((err) => {
+        console.warn('Unable to autosave the QC session.', err);
+      });
+  };
+
+  useEffect(() => {
+    if (!sessionSnapshot.sessionKey || !sessionSnapshot.lineItems.length) {
+      return;
+    }
+    // Hold off while an older save for this report is still waiting on a restore/discard decision.
+    if ([...savedSessions, ...deferredSessions].some((session) => session.sessionKey === sessionSnapshot.sessionKey)) {
+      return;
+    }
+    const timeoutId = window.setTimeout(() => {
+      persistSession(sessionSnapshot);
+    }, AUTOSAVE_DELAY_MS);
+    return () => {
+      clearTimeout(timeoutId);
+    };
+  }, [sessionSnapshot, savedSessions, deferredSessions]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') {
+      return;
+    }
+    window.localStorage.setItem(ANALYST_NAME_STORAGE_KEY, analystName);
+  }, [analystName]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') {
+      return;
+    }
+    window.localStorage.setItem(CROSS_FOOT_SETTINGS_STORAGE_KEY, JSON.stringify(crossFootSettings));
+  }, [crossFootSettings]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') {
+      return;
+    }
+    window.localStorage.setItem(EXTRACTION_SETTINGS_STORAGE_KEY, JSON.stringify(extractionSettings));
+  }, [extractionSettings]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') {
+      return;
+    }
+    window.localStorage.setItem(SOP_TEMPLATES_STORAGE_KEY, JSON.stringify(customSopTemplates));
+  }, [customSopTemplates]);
+
+  const latestAuditByCell = useMemo(() => {
+    const map = new Map();
+    auditLog.forEach((entry) => {
+      if (entry?.cellKey) {
+        map.set(entry.cellKey, entry);
+      }
+    });
+    return map;
+  }, [auditLog]);
+
+  const editedCellCount = useMemo(() => lineItems.reduce((count, item) => (
+    count + valueColumns.filter((column) => {
+      const cellKey = buildCellKey(item.rowId, column);
+      return Object.prototype.hasOwnProperty.call(originalValues, cellKey)
+        && originalValues[cellKey] !== toCellText(item[column]);
+    }).length
+  ), 0), [lineItems, valueColumns, originalValues]);
+
+  const appendAuditEntries = useCallback((changes, action) => {
+    if (!Array.isArray(changes) || !changes.length) {
+      return;
+    }
+    const timestamp = Date.now();
+    const user = analystName.trim() || 'Unknown analyst';
+    setAuditLog((prev) => {
+      const next = [...prev];
+      changes.forEach((change) => {
+        const { row, column } = change;
+        const cellKey = buildCellKey(row.rowId, column);
+        const last = next[next.length - 1];
+        if (action === 'Edit'
+          && last
+          && last.action === 'Edit'
+          && last.cellKey === cellKey
+          && last.user === user
+          && timestamp - last.timestamp < AUDIT_MERGE_WINDOW_MS) {
+          next[next.length - 1] = { ...last, current: change.current, timestamp };
+          return;
+        }
+        next.push({
+          id: `audit-${timestamp}-${next.length}`,
+          cellKey,
+          rowId: row.rowId,
+          statement: row.statement || '',
+          lineItem: row.lineItem || row['Line Item'] || '',
+          column,
+          original: Object.prototype.hasOwnProperty.call(originalValues, cellKey) ? originalValues[cellKey] : null,
+          previous: change.previous,
+          current: change.current,
+          user,
+          action,
+          timestamp,
+        });
+      });
+      return next;
+    });
+  }, [analystName, originalValues]);
+
+  const documentState = useMemo(() => ({
+    lineItems,
+    valueColumns,
+    sopSummary,
+    manualSopEntries,
+    verifiedStatements,
+    unitSettings,
+    latestColumnOverrides,
+    sopAggregationRules,
+    originalValues,
+    qcComplete,
+    sopTemplate,
+  }), [
+    lineItems,
+    valueColumns,
+    sopSummary,
+    manualSopEntries,
+    verifiedStatements,
+    unitSettings,
+    latestColumnOverrides,
+    sopAggregationRules,
+    originalValues,
+    qcComplete,
+    sopTemplate,
+  ]);
+
+  const recordHistory = (label, mergeKey = '') => {
+    pendingHistoryRef.current = { label, mergeKey };
+  };
+
+  useEffect(() => {
+    const statusMessage = status?.message || '';
+    if (historyResetRef.current) {
+      const label = historyResetRef.current;
+      historyResetRef.current = null;
+      pendingHistoryRef.current = null;
+      setHistory({ entries: [createHistoryEntry(label, documentState, statusMessage)], index: 0 });
+      return;
+    }
+    if (historyRestoreRef.current) {
+      historyRestoreRef.current = false;
+      pendingHistoryRef.current = null;
+      return;
+    }
+    const pending = pendingHistoryRef.current;
+    pendingHistoryRef.current = null;
+    // The normalising effects above flag their own updates; they land one render after the action.
+    const normalising = !pending && historyNormaliseRef.current;
+    if (!pending) {
+      historyNormaliseRef.current = false;
+    }
+    setHistory((prev) => {
+      const current = prev.entries[prev.index];
+      if (!current || isSameDocumentState(current.snapshot, documentState)) {
+        return prev;
+      }
+      const kept = prev.entries.slice(0, prev.index + 1);
+      // Follow-up normalisation (e.g. verified flags re-keyed after a row delete) belongs to the action that caused it.
+      if (normalising) {
+        kept[kept.length - 1] = { ...current, snapshot: documentState };
+        return { entries: [...kept, ...prev.entries.slice(prev.index + 1)], index: prev.index };
+      }
+      if (!pending) {
+        if (import.meta.env.DEV) {
+          console.error('Document state changed without a history label. Call recordHistory() before the update.');
+        }
+        const entries = [...kept, createHistoryEntry('Edit', documentState, statusMessage)].slice(-HISTORY_LIMIT);
+        return { entries, index: entries.length - 1 };
+      }
+      const isLatest = prev.index === prev.entries.length - 1;
+      if (pending.mergeKey && isLatest && current.mergeKey === pending.mergeKey && prev.index > 0) {
+        kept[kept.length - 1] = {
+          ...current,
+          message: statusMessage || current.message,
+          timestamp: Date.now(),
+          snapshot: documentState,
+        };
+        return { entries: kept, index: kept.length - 1 };
+      }
+      const entries = [
+        ...kept,
+        createHistoryEntry(pending.label, documentState, statusMessage, pending.mergeKey),
+      ].slice(-HISTORY_LIMIT);
+      return { entries, index: entries.length - 1 };
+    });
+  }, [documentState, status]);
+
+  const jumpToHistory = useCallback((targetIndex) => {
+    const target = history.entries[targetIndex];
+    if (!target || targetIndex === history.index) {
+      return;
+    }
+    const { snapshot } = target;
+    const isUndo = targetIndex < history.index;
+    appendAuditEntries(
+      collectCellChanges(lineItems, snapshot.lineItems, Array.from(new Set([...valueColumns, ...snapshot.valueColumns]))),
+      isUndo ? 'Undo' : 'Redo',
+    );
+    historyRestoreRef.current = true;
+    setLineItems(snapshot.lineItems);
+    setValueColumns(snapshot.valueColumns);
+    setSopSummary(snapshot.sopSummary);
+    setManualSopEntries(snapshot.manualSopEntries);
+    setVerifiedStatements(snapshot.verifiedStatements);
+    setUnitSettings(snapshot.unitSettings || DEFAULT_UNIT_SETTINGS);
+    setLatestColumnOverrides(snapshot.latestColumnOverrides || {});
+    setSopAggregationRules(snapshot.sopAggregationRules || {});
+    setOriginalValues(snapshot.originalValues || {});
+    setQcComplete(snapshot.qcComplete);
+    setSopTemplate(snapshot.sopTemplate);
+    setEditingSopMetric(null);
+    setSopEditDraft(buildEmptySopEditDraft());
+    setHistory((prev) => ({ ...prev, index: targetIndex }));
+    if (isUndo) {
+      const undone = history.entries[history.index];
+      setStatus({ type: 'info', message: `Undid "${undone?.label || 'last action'}".` });
+    } else {
+      setStatus({ type: 'info', message: `Redid "${target.label}".` });
+    }
+  }, [history, lineItems, valueColumns, appendAuditEntries]);
+
+  const canUndo = history.index > 0;
+  const canRedo = history.index >= 0 && history.index < history.entries.length - 1;
+
+  const handleUndo = useCallback(() => {
+    if (history.index > 0) {
+      jumpToHistory(history.index - 1);
+    }
+  }, [history, jumpToHistory]);
+
+  const handleRedo = useCallback(() => {
+    if (history.index < history.entries.length - 1) {
+      jumpToHistory(history.index + 1);
+    }
+  }, [history, jumpToHistory]);
 
-  const iframeSrc = useMemo(() => {
-    if (!pdfBase64) return '';
-    return `data:application/pdf;base64,${pdfBase64}`;
-  }, [pdfBase64]);
+  useEffect(() => {
+    if (typeof window === 'undefined') {
+      return;
+    }
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      const isUndo = key === 'z' && !event.shiftKey;
+      const isRedo = (key === 'z' && event.shiftKey) || key === 'y';
+      if (!isUndo && !isRedo) {
+        return;
+      }
+      if (!isHistoryShortcutTarget(event.target)) {
+        return;
+      }
+      event.preventDefault();
+      if (isUndo) {
+        handleUndo();
+      } else {
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [handleUndo, handleRedo]);
+
+  const applySessionSnapshot = (snapshot, historyLabel = 'Session loaded', restoredHistory = null) => {
+    const restoredLineItems = Array.isArray(snapshot?.lineItems) ? snapshot.lineItems : [];
+    const restoredValueColumns = Array.isArray(snapshot?.valueColumns) ? snapshot.valueColumns : [];
+    const restoredStatements = Array.from(new Set(restoredLineItems.map((item) => item?.statement))).filter(Boolean);
+    const emptyValues = restoredValueColumns.reduce((acc, column) => ({ ...acc, [column]: '' }), {});
+
+    setPdfName(snapshot?.pdfName || '');
+    setPdfBase64(snapshot?.pdfBase64 || '');
+    setLineItems(restoredLineItems);
+    setValueColumns(restoredValueColumns);
+    setCandidateMetrics(Array.isArray(snapshot?.candidateMetrics) ? snapshot.candidateMetrics : []);
+    const restoredTemplate = normaliseSopTemplate(snapshot?.sopTemplate) || DEFAULT_SOP_TEMPLATE;
+    setSopTemplate(restoredTemplate);
+    setSopSummary(normaliseSopSummaryEntries(snapshot?.sopSummary, getTemplateMetricNames(restoredTemplate)));
+    setSopMetadata(snapshot?.sopMetadata || { latestColumns: {} });
+    setReportMetadata(normaliseReportMetadata(snapshot?.reportMetadata));
+    setManualSopEntries(snapshot?.manualSopEntries || {});
+    setVerifiedStatements(snapshot?.verifiedStatements || {});
+    setUnitSettings(normaliseUnitSettings(snapshot?.unitSettings, snapshot?.statementMultiplierApplied));
+    setLatestColumnOverrides(snapshot?.latestColumnOverrides || {});
+    setSopAggregationRules(snapshot?.sopAggregationRules || {});
+    setQcComplete(Boolean(snapshot?.qcComplete));
+    setExtractionResult(snapshot?.extractionResult || null);
+    setOriginalValues(snapshot?.originalValues || {});
+    setAuditLog(Array.isArray(snapshot?.auditLog) ? snapshot.auditLog : []);
+    setExpandedSopMetrics({});
+    setBreakdownDrafts({});
+    setEditingSopMetric(null);
+    setSopEditDraft(buildEmptySopEditDraft());
+    setSelectedRowIds(new Set());
+    setShowManualEntry(false);
+    setManualRow({
+      statement: restoredStatements[0] || '',
+      lineItem: '',
+      values: emptyValues,
+    });
+    setPdfZoom(1);
+    setPdfFitMode('custom');
+    setPdfHighlight(null);
+    setReviewOverrideStatement('');
+    setActiveWorkspaceTab(restoredLineItems.length ? 'statements' : 'overview');
+    if (restoredHistory) {
+      historyRestoreRef.current = true;
+      setHistory(restoredHistory);
+    } else {
+      historyResetRef.current = historyLabel;
+    }
+  };
+
+  // The active document lives in the regular state above; the others are parked
+  // in `documents` as session snapshots together with their undo history.
+  const flushActiveDocumentSave = () => {
+    const { snapshot } = latestDocumentRef.current;
+    if (!snapshot?.sessionKey || !snapshot.lineItems.length
+      || [...savedSessions, ...deferredSessions].some((session) => session.sessionKey === snapshot.sessionKey)) {
+      return;
+    }
+    persistSession(snapshot);
+  };
+
+  const stashActiveDocument = (list) => {
+    const { snapshot, history: activeHistory, activeDocumentId: currentId } = latestDocumentRef.current;
+    if (!currentId || !snapshot) {
+      return list;
+    }
+    flushActiveDocumentSave();
+    return list.map((doc) => (doc.id === currentId
+      ? { ...doc, pdfName: snapshot.pdfName, snapshot, history: activeHistory }
+      : doc));
+  };
+
+  const openDocumentSnapshot = (snapshot, historyLabel) => {
+    const existing = latestDocumentRef.current.documents
+      .find((doc) => doc.pdfName && doc.pdfName === snapshot?.pdfName);
+    const id = existing?.id || createDocumentId();
+    const entry = { id, pdfName: snapshot?.pdfName || '', snapshot, history: null };
+    setDocuments((prev) => {
+      const stashed = stashActiveDocument(prev);
+      return existing
+        ? stashed.map((doc) => (doc.id === id ? entry : doc))
+        : [...stashed, entry];
+    });
+    setActiveDocumentId(id);
+    applySessionSnapshot(snapshot, historyLabel);
+    return id;
+  };
+
+  // Finished extractions open straight away when nothing is being reviewed,
+  // otherwise they wait in the document switcher.
+  const addExtractedDocument = (snapshot) => {
+    const { activeDocumentId: currentId, documents: openDocuments } = latestDocumentRef.current;
+    const existing = openDocuments.find((doc) => doc.pdfName && doc.pdfName === snapshot.pdfName);
+    if (existing) {
+      return { documentId: null, duplicateOf: existing.id, note: 'Already open - replace it or open this extraction as a copy.' };
+    }
+    if (!currentId) {
+      return { documentId: openDocumentSnapshot(snapshot, 'Extraction loaded'), opened: true };
+    }
+    const id = createDocumentId();
+    setDocuments((prev) => [...prev, { id, pdfName: snapshot.pdfName, snapshot, history: null }]);
+    return { documentId: id };
+  };
+
+  const handleSwitchDocument = (documentId) => {
+    if (documentId === activeDocumentId) {
+      return;
+    }
+    const target = documents.find((doc) => doc.id === documentId);
+    if (!target) {
+      return;
+    }
+    setDocuments((prev) => stashActiveDocument(prev));
+    setActiveDocumentId(documentId);
+    applySessionSnapshot(target.snapshot, 'Document opened', target.history);
+    setStatus({ type: 'info', message: `Switched to ${target.pdfName || 'the selected document'}.` });
+  };
+
+  const handleCloseDocument = (documentId) => {
+    const target = documents.find((doc) => doc.id === documentId);
+    if (!target) {
+      return;
+    }
+    const remaining = documents.filter((doc) => doc.id !== documentId);
+    if (documentId === activeDocumentId) {
+      flushActiveDocumentSave();
+      const closedIndex = documents.findIndex((doc) => doc.id === documentId);
+      const next = remaining[Math.min(closedIndex, remaining.length - 1)];
+      if (next) {
+        setActiveDocumentId(next.id);
+        applySessionSnapshot(next.snapshot, 'Document opened', next.history);
+      } else {
+        setActiveDocumentId(null);
+        applySessionSnapshot({}, 'Document closed', { entries: [], index: -1 });
+      }
+    }
+    setDocuments(remaining);
+    setUploadQueue((prev) => prev.map((item) => (item.documentId === documentId
+      ? { ...item, documentId: null, note: 'Closed - open it again from its saved session.' }
+      : item)));
+    setStatus({
+      type: 'info',
+      message: `Closed ${target.pdfName || 'the document'}. Its latest edits remain saved in this browser.`,
+    });
+  };
+
+  const handleRestoreSession = async (session) => {
+    if (!session) {
+      return;
+    }
+    const storedSession = await loadSession(session.sessionKey).catch(() => null);
+    if (!storedSession) {
+      setStatus({ type: 'error', message: `Could not read the saved session for ${session.pdfName}.` });
+      return;
+    }
+    openDocumentSnapshot(storedSession, 'Restored saved session');
+    setSavedSessions((prev) => prev.filter((entry) => entry.sessionKey !== session.sessionKey));
+    setDeferredSessions((prev) => prev.filter((entry) => entry.sessionKey !== session.sessionKey));
+    const savedAtText = session.savedAt ? new Date(session.savedAt).toLocaleString() : 'an earlier session';
+    setStatus({ type: 'success', message: `Restored the saved session for ${session.pdfName} (saved ${savedAtText}).` });
+  };
+
+  const handleDiscardSession = async (session) => {
+    if (!session) {
+      return;
+    }
+    try {
+      await deleteSession(session.sessionKey);
+    } catch (err) {
+      console.error(err);
+      setStatus({ type: 'error', message: `Could not discard the saved session for ${session.pdfName}.` });
+      return;
+    }
+    storedSessionPdfsRef.current.delete(session.sessionKey);
+    setSavedSessions((prev) => prev.filter((entry) => entry.sessionKey !== session.sessionKey));
+    setDeferredSessions((prev) => prev.filter((entry) => entry.sessionKey !== session.sessionKey));
+    setStatus({ type: 'info', message: `Discarded the saved session for ${session.pdfName}.` });
+  };
+
+  // Dismissed sessions stay protected from autosave until they are restored or discarded.
+  const handleDismissSavedSessions = () => {
+    setDeferredSessions((prev) => [
+      ...prev.filter((entry) => !savedSessions.some((session) => session.sessionKey === entry.sessionKey)),
+      ...savedSessions,
+    ]);
+    setSavedSessions([]);
+  };
+
+  const handleReviewDeferredSessions = () => {
+    setSavedSessions(deferredSessions);
+    setDeferredSessions([]);
+  };
 
   const handleValueChange = (rowId, columnName, value, options = {}) => {
     const safeValue = value === null || typeof value === 'undefined' ? '' : value.toString();
+    const targetRow = lineItems.find((item) => item.rowId === rowId);
+    recordHistory(
+      `Edited ${targetRow?.lineItem || targetRow?.['Line Item'] || 'row'} · ${columnName}`,
+      `value:${rowId}:${columnName}`,
+    );
+    if (targetRow && toCellText(targetRow[columnName]) !== safeValue) {
+      appendAuditEntries([{
+        row: targetRow,
+        column: columnName,
+        previous: toCellText(targetRow[columnName]),
+        current: safeValue,
+      }], options?.auditAction || 'Edit');
+    }
+    if (focusedCell && focusedCell.rowId !== rowId) {
+      setFocusedCell(null);
+    }
     let affectedStatement = null;
     let affectedLineItem = '';
     let valueChanged = false;
@@ -986,6 +3091,7 @@ function App() {
     if (!editingSopMetric) {
       return;
     }
+    recordHistory(`Edited SOP metric "${editingSopMetric}"`);
     setSopSummary((current) => current.map((entry) => {
       if (entry.metric !== editingSopMetric) {
         return entry;
@@ -1004,6 +3110,166 @@ function App() {
     handleSopEditCancel();
   };
 
+  const applySopTemplateToReport = (template, renames = new Map()) => {
+    const metricNames = getTemplateMetricNames(template);
+    const renameMetric = (name) => renames.get(name) || name;
+    const keptMetrics = new Set(metricNames);
+    const droppedMetrics = sopSummary
+      .filter((entry) => !keptMetrics.has(renameMetric(entry.metric)) && normaliseSopValue(entry.value) !== '-')
+      .map((entry) => entry.metric);
+    setSopTemplate(template);
+    setSopSummary((current) => normaliseSopSummaryEntries(
+      current.map((entry) => ({ ...entry, metric: renameMetric(entry.metric) })),
+      metricNames,
+    ));
+    if (renames.size) {
+      setManualSopEntries((current) => Object.entries(current).reduce((acc, [metric, entries]) => ({
+        ...acc,
+        [renameMetric(metric)]: entries,
+      }), {}));
+      setSopAggregationRules((current) => Object.entries(current).reduce((acc, [metric, rule]) => ({
+        ...acc,
+        [renameMetric(metric)]: rule,
+      }), {}));
+      setLineItems((items) => items.map((item) => {
+        const classification = typeof item?.classification === 'string' ? item.classification.trim() : '';
+        return classification && renames.has(classification)
+          ? { ...item, classification: renames.get(classification) }
+          : item;
+      }));
+    }
+    setQcComplete(false);
+    return droppedMetrics;
+  };
+
+  const handleSelectSopTemplate = (templateId) => {
+    const template = availableSopTemplates.find((candidate) => candidate.id === templateId);
+    if (!template || template.id === sopTemplate.id) {
+      return;
+    }
+    recordHistory(`Applied SOP template "${template.name}"`);
+    const droppedMetrics = applySopTemplateToReport(template);
+    setStatus({
+      type: droppedMetrics.length ? 'warning' : 'success',
+      message: droppedMetrics.length
+        ? `Switched to the ${template.name} template. ${droppedMetrics.join(', ')} ${droppedMetrics.length === 1 ? 'is' : 'are'} not part of it and ${droppedMetrics.length === 1 ? 'was' : 'were'} removed from the summary.`
+        : `Switched to the ${template.name} template.`,
+    });
+  };
+
+  const openCatalogueDraft = (template, options = {}) => {
+    const copy = Boolean(options.copy || template?.builtIn);
+    setCatalogueDraft({
+      id: copy || !template ? `custom-${Date.now()}` : template.id,
+      name: template ? `${template.name}${copy ? ' (copy)' : ''}` : '',
+      metrics: (template?.metrics || [createSopMetricDefinition()]).map((metric, index) => ({
+        ...metric,
+        key: `${Date.now()}-${index}`,
+        previousName: copy ? '' : metric.name,
+      })),
+    });
+  };
+
+  const updateCatalogueDraftMetric = (key, field, value) => {
+    setCatalogueDraft((prev) => (prev ? {
+      ...prev,
+      metrics: prev.metrics.map((metric) => (metric.key === key ? { ...metric, [field]: value } : metric)),
+    } : prev));
+  };
+
+  const moveCatalogueDraftMetric = (key, direction) => {
+    setCatalogueDraft((prev) => {
+      if (!prev) {
+        return prev;
+      }
+      const index = prev.metrics.findIndex((metric) => metric.key === key);
+      const target = index + direction;
+      if (index === -1 || target < 0 || target >= prev.metrics.length) {
+        return prev;
+      }
+      const metrics = [...prev.metrics];
+      [metrics[index], metrics[target]] = [metrics[target], metrics[index]];
+      return { ...prev, metrics };
+    });
+  };
+
+  const removeCatalogueDraftMetric = (key) => {
+    setCatalogueDraft((prev) => (prev ? {
+      ...prev,
+      metrics: prev.metrics.filter((metric) => metric.key !== key),
+    } : prev));
+  };
+
+  const addCatalogueDraftMetric = () => {
+    setCatalogueDraft((prev) => (prev ? {
+      ...prev,
+      metrics: [...prev.metrics, { ...createSopMetricDefinition(), key: `${Date.now()}`, previousName: '' }],
+    } : prev));
+  };
+
+  const handleCatalogueSave = () => {
+    if (!catalogueDraft) {
+      return;
+    }
+    const names = catalogueDraft.metrics.map((metric) => toTrimmed(metric.name));
+    if (!toTrimmed(catalogueDraft.name)) {
+      setStatus({ type: 'warning', message: 'Give the template a name before saving.' });
+      return;
+    }
+    if (!names.length || names.some((name) => !name)) {
+      setStatus({ type: 'warning', message: 'Every metric in the template needs a name.' });
+      return;
+    }
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      setStatus({ type: 'warning', message: `The metric "${duplicate}" appears more than once in the template.` });
+      return;
+    }
+    const template = normaliseSopTemplate({ ...catalogueDraft, builtIn: false });
+    setCustomSopTemplates((prev) => (
+      prev.some((existing) => existing.id === template.id)
+        ? prev.map((existing) => (existing.id === template.id ? template : existing))
+        : [...prev, template]
+    ));
+    setCatalogueDraft(null);
+    if (template.id !== sopTemplate.id) {
+      setStatus({ type: 'success', message: `Saved the ${template.name} template.` });
+      return;
+    }
+    const renames = new Map();
+    catalogueDraft.metrics.forEach((metric) => {
+      const nextName = toTrimmed(metric.name);
+      if (metric.previousName && metric.previousName !== nextName) {
+        renames.set(metric.previousName, nextName);
+      }
+    });
+    recordHistory(`Updated SOP template "${template.name}"`);
+    const droppedMetrics = applySopTemplateToReport(template, renames);
+    setStatus({
+      type: droppedMetrics.length ? 'warning' : 'success',
+      message: droppedMetrics.length
+        ? `Saved the ${template.name} template. Removed ${droppedMetrics.join(', ')} from this report's summary.`
+        : `Saved the ${template.name} template and applied it to this report.`,
+    });
+  };
+
+  const handleCatalogueDelete = (templateId) => {
+    const template = customSopTemplates.find((candidate) => candidate.id === templateId);
+    if (!template) {
+      return;
+    }
+    setCustomSopTemplates((prev) => prev.filter((candidate) => candidate.id !== templateId));
+    if (catalogueDraft?.id === templateId) {
+      setCatalogueDraft(null);
+    }
+    setStatus({
+      type: 'info',
+      message: template.id === sopTemplate.id
+        ? `Deleted the ${template.name} template. This report keeps its own copy of the metric list.`
+        : `Deleted the ${template.name} template.`,
+    });
+  };
+
   const buildEmptyValueMap = () => valueColumns.reduce((acc, column) => {
     acc[column] = '';
     return acc;
@@ -1052,6 +3318,7 @@ function App() {
       return;
     }
 
+    recordHistory(`Added manual row "${lineItem}"`);
     const newRowId = `manual-${Date.now()}`;
     const newRow = {
       rowId: newRowId,
@@ -1092,6 +3359,7 @@ function App() {
       return;
     }
 
+    recordHistory(trimmedMetric ? `Linked rows to "${trimmedMetric}"` : 'Cleared SOP metric');
     const affectedStatements = new Set();
     let changedCount = 0;
 
@@ -1207,8 +3475,10 @@ function App() {
         calculation: Array.isArray(current.calculation)
           ? current.calculation
           : [],
+        mode: current.mode || 'builder',
+        formula: current.formula || '',
       };
-      if (field === 'statement' || field === 'lineItem') {
+      if (field === 'statement' || field === 'lineItem' || field === 'formula') {
         next[field] = value;
       }
       return {
@@ -1239,6 +3509,8 @@ function App() {
           column: current.column || '',
           value: current.value || '',
           calculation: steps,
+          mode: current.mode || 'builder',
+          formula: current.formula || '',
         },
       };
     });
@@ -1259,6 +3531,8 @@ function App() {
           column: current.column || '',
           value: current.value || '',
           calculation: steps,
+          mode: current.mode || 'builder',
+          formula: current.formula || '',
         },
       };
     });
@@ -1278,18 +3552,59 @@ function App() {
         [metric]: {
           statement: current.statement || '',
           lineItem: current.lineItem || '',
-          column: current.column || '',
-          value: current.value || '',
-          calculation: steps,
+          column: current.column || '',
+          value: current.value || '',
+          calculation: steps,
+          mode: current.mode || 'builder',
+          formula: current.formula || '',
+        },
+      };
+    });
+  };
+
+  const handleManualBreakdownDraftModeChange = (metric, mode) => {
+    setBreakdownDrafts((prev) => {
+      const current = prev?.[metric] || {};
+      return {
+        ...prev,
+        [metric]: {
+          statement: current.statement || '',
+          lineItem: current.lineItem || '',
+          calculation: Array.isArray(current.calculation) ? current.calculation : [],
+          mode,
+          formula: mode === 'formula' ? compileStepsToFormula(current, parseNumericValue) || current.formula || '' : '',
         },
       };
     });
   };
+
+  const handleManualBreakdownModeChange = (metric, entryId, mode) => {
+    const entry = (manualSopEntries[metric] || []).find((item) => item.id === entryId);
+    if (!entry || (entry.mode || 'builder') === mode) {
+      return;
+    }
+    const compiled = compileStepsToFormula(entry, parseNumericValue);
+    recordHistory(`Switched a breakdown entry in "${metric}" to the ${mode === 'formula' ? 'formula editor' : 'step builder'}`);
+    setManualSopEntries((prev) => ({
+      ...(prev || {}),
+      [metric]: (prev?.[metric] || []).map((item) => (item.id === entryId
+        ? { ...item, mode, formula: mode === 'formula' ? compiled || item.formula || '' : '' }
+        : item)),
+    }));
+    setQcComplete(false);
+    if (mode === 'builder' && toTrimmed(entry.formula) && toTrimmed(entry.formula) !== compiled) {
+      setStatus({
+        type: 'info',
+        message: `The typed formula in "${metric}" was discarded; the value now follows the calculation steps.`,
+      });
+    }
+  };
 
   const handleAddManualBreakdownEntry = (metric) => {
     const draft = breakdownDrafts?.[metric] || {};
     const statement = (draft.statement || '').trim();
     const lineItem = (draft.lineItem || '').trim();
+    const formula = draft.mode === 'formula' ? (draft.formula || '').trim() : '';
     const calculationSteps = Array.isArray(draft.calculation)
       ? draft.calculation
         .map((step) => ({
@@ -1309,23 +3624,32 @@ function App() {
         ))
       : [];
 
-    if (!statement || !lineItem) {
+    if (draft.mode === 'formula') {
+      const { error } = parseFormula(formula);
+      if (error) {
+        setStatus({ type: 'error', message: `Fix the formula before adding a breakdown row: ${error.message}` });
+        return;
+      }
+    } else if (!statement || !lineItem) {
       setStatus({ type: 'error', message: 'Provide both a statement and line item before adding a breakdown row.' });
       return;
     }
 
-    if (!calculationSteps.length) {
+    if (draft.mode !== 'formula' && !calculationSteps.length) {
       setStatus({ type: 'error', message: 'Add at least one calculation step before adding a breakdown row.' });
       return;
     }
 
+    recordHistory(`Added breakdown entry to "${metric}"`);
     const newEntry = {
       id: `manual-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
       statement,
       lineItem,
       column: '',
       value: '',
-      calculation: calculationSteps,
+      calculation: draft.mode === 'formula' ? [] : calculationSteps,
+      mode: draft.mode === 'formula' ? 'formula' : 'builder',
+      formula,
     };
 
     setManualSopEntries((prev) => {
@@ -1349,6 +3673,7 @@ function App() {
   };
 
   const handleManualBreakdownValueChange = (metric, entryId, field, value) => {
+    recordHistory(`Edited breakdown entry in "${metric}"`, `breakdown:${metric}:${entryId}:${field}`);
     setManualSopEntries((prev) => {
       const existing = Array.isArray(prev?.[metric]) ? prev[metric] : [];
       const updated = existing.map((entry) => {
@@ -1369,6 +3694,7 @@ function App() {
   };
 
   const handleManualBreakdownCalculationChange = (metric, entryId, index, field, value) => {
+    recordHistory(`Edited calculation step in "${metric}"`, `step:${metric}:${entryId}:${index}:${field}`);
     setManualSopEntries((prev) => {
       const existing = Array.isArray(prev?.[metric]) ? prev[metric] : [];
       const updated = existing.map((entry) => {
@@ -1398,115 +3724,647 @@ function App() {
     setQcComplete(false);
   };
 
-  const handleAddManualBreakdownCalculationStep = (metric, entryId) => {
-    setManualSopEntries((prev) => {
-      const existing = Array.isArray(prev?.[metric]) ? prev[metric] : [];
-      const updated = existing.map((entry) => {
-        if (entry.id !== entryId) {
-          return entry;
-        }
-        const steps = Array.isArray(entry.calculation)
-          ? entry.calculation.map((step) => ({ ...createEmptyCalculationStep(), ...step }))
-          : [];
-        steps.push(createEmptyCalculationStep({ operator: steps.length ? '+' : '+' }));
-        return {
-          ...entry,
-          calculation: steps,
-        };
-      });
-      return {
-        ...(prev || {}),
-        [metric]: updated,
-      };
+  const handleAddManualBreakdownCalculationStep = (metric, entryId) => {
+    recordHistory(`Added calculation step to "${metric}"`);
+    setManualSopEntries((prev) => {
+      const existing = Array.isArray(prev?.[metric]) ? prev[metric] : [];
+      const updated = existing.map((entry) => {
+        if (entry.id !== entryId) {
+          return entry;
+        }
+        const steps = Array.isArray(entry.calculation)
+          ? entry.calculation.map((step) => ({ ...createEmptyCalculationStep(), ...step }))
+          : [];
+        steps.push(createEmptyCalculationStep({ operator: steps.length ? '+' : '+' }));
+        return {
+          ...entry,
+          calculation: steps,
+        };
+      });
+      return {
+        ...(prev || {}),
+        [metric]: updated,
+      };
+    });
+    setQcComplete(false);
+  };
+
+  const handleRemoveManualBreakdownCalculationStep = (metric, entryId, index) => {
+    recordHistory(`Removed calculation step from "${metric}"`);
+    setManualSopEntries((prev) => {
+      const existing = Array.isArray(prev?.[metric]) ? prev[metric] : [];
+      const updated = existing.map((entry) => {
+        if (entry.id !== entryId) {
+          return entry;
+        }
+        const steps = Array.isArray(entry.calculation)
+          ? entry.calculation.filter((_, stepIndex) => stepIndex !== index)
+          : [];
+        return {
+          ...entry,
+          calculation: steps,
+        };
+      });
+      return {
+        ...(prev || {}),
+        [metric]: updated,
+      };
+    });
+    setQcComplete(false);
+  };
+
+  const handleRemoveManualBreakdownEntry = (metric, entryId) => {
+    recordHistory(`Removed breakdown entry from "${metric}"`);
+    setManualSopEntries((prev) => {
+      const existing = Array.isArray(prev?.[metric]) ? prev[metric] : [];
+      const filtered = existing.filter((entry) => entry.id !== entryId);
+      const next = { ...(prev || {}) };
+      if (filtered.length) {
+        next[metric] = filtered;
+      } else {
+        delete next[metric];
+      }
+      return next;
+    });
+    setQcComplete(false);
+    setStatus({ type: 'info', message: `Removed a manual breakdown entry from "${metric}".` });
+  };
+
+  const openReextraction = () => {
+    if (!activeStatement) {
+      return;
+    }
+    if (!pdfBase64) {
+      setStatus({ type: 'warning', message: 'The source PDF is not loaded, so this statement cannot be re-extracted.' });
+      return;
+    }
+    setReextraction({
+      documentId: activeDocumentId,
+      statement: activeStatement,
+      pages: describeRowPages(lineItems.filter((row) => row.statement === activeStatement)),
+      status: 'editing',
+      progress: null,
+      error: '',
+    });
+  };
+
+  const handleReextractionRun = async () => {
+    if (!reextraction) {
+      return;
+    }
+    const pages = reextraction.pages.trim();
+    if (pages && !PAGE_RANGE_PATTERN.test(pages)) {
+      setReextraction((prev) => ({ ...prev, error: 'Enter pages as numbers or ranges, e.g. 12-14 or 12, 15.' }));
+      return;
+    }
+    const { documentId, statement } = reextraction;
+    const controller = new AbortController();
+    reextractionControllerRef.current = controller;
+    setReextraction((prev) => ({ ...prev, status: 'running', progress: null, error: '' }));
+    try {
+      const extraction = await runExtraction(base64ToFile(pdfBase64, pdfName), {
+        signal: controller.signal,
+        timeoutMs: extractionSettings.timeoutMinutes * 60000,
+        maxRetries: extractionSettings.maxRetries,
+        hints: { statement, pages },
+        onProgress: (progress) => setReextraction((prev) => (prev ? { ...prev, progress } : prev)),
+      });
+      const returnedRows = (extraction?.lineItems || []).filter((row) => row && typeof row === 'object');
+      const statementKey = normaliseKey(statement);
+      const incomingRows = returnedRows.filter((row) => normaliseKey(row.statement) === statementKey);
+      if (!incomingRows.length) {
+        const otherStatements = [...new Set(returnedRows.map((row) => toTrimmed(row.statement)).filter(Boolean))];
+        setReextraction((prev) => (prev ? {
+          ...prev,
+          status: 'editing',
+          error: `The re-extraction returned no rows for ${statement}.${otherStatements.length ? ` It returned rows for ${otherStatements.join(', ')}.` : ''}`,
+        } : prev));
+        return;
+      }
+      if (latestDocumentRef.current.activeDocumentId !== documentId) {
+        setReextraction(null);
+        setStatus({ type: 'info', message: `Discarded the re-extraction of ${statement} because another document was opened.` });
+        return;
+      }
+      setReextraction((prev) => (prev ? {
+        ...prev,
+        status: 'review',
+        incomingRows,
+        incomingColumns: extraction.valueColumns || [],
+      } : prev));
+    } catch (err) {
+      if (isCancelledError(err)) {
+        setReextraction(null);
+        return;
+      }
+      console.error(err);
+      const failure = describeExtractionError(err);
+      setReextraction((prev) => (prev ? { ...prev, status: 'editing', error: `${failure.label}: ${failure.message}` } : prev));
+    } finally {
+      reextractionControllerRef.current = null;
+    }
+  };
+
+  const handleReextractionCancel = () => {
+    reextractionControllerRef.current?.abort();
+    setReextraction(null);
+  };
+
+  const handleReextractionAccept = () => {
+    if (!reextraction || !reextractionMerge) {
+      return;
+    }
+    const { statement } = reextraction;
+    const { rows, changes } = reextractionMerge;
+    recordHistory(`Re-extracted ${statement}`);
+    appendAuditEntries(
+      changes
+        .filter((change) => change.type === 'changed')
+        .map((change) => ({ row: change.row, column: change.column, previous: change.before, current: change.after })),
+      'Re-extract',
+    );
+    setLineItems((items) => {
+      const insertAt = items.findIndex((item) => item.statement === statement);
+      const remaining = items.filter((item) => item.statement !== statement);
+      const position = insertAt === -1 ? remaining.length : insertAt;
+      return [...remaining.slice(0, position), ...rows, ...remaining.slice(position)];
+    });
+    if (reextractionColumns.length !== valueColumns.length) {
+      setValueColumns(reextractionColumns);
+    }
+    // Only new rows and new columns get a baseline; existing cells keep the first extraction's value.
+    const removedRowIds = new Set(changes.filter((change) => change.type === 'removed').map((change) => change.row.rowId));
+    setOriginalValues((prev) => {
+      const next = Object.fromEntries(Object.entries(prev)
+        .filter(([cellKey]) => !removedRowIds.has(cellKey.slice(0, cellKey.indexOf('||')))));
+      Object.entries(buildOriginalValueMap(rows, reextractionColumns)).forEach(([cellKey, value]) => {
+        if (!Object.prototype.hasOwnProperty.call(next, cellKey)) {
+          next[cellKey] = value;
+        }
+      });
+      return next;
+    });
+    setSopSummary((current) => syncSopEntriesWithRows(
+      current,
+      rows,
+      reextractionColumns,
+      changes.filter((change) => change.type === 'removed').map((change) => change.row),
+    ));
+    setVerifiedStatements((prev) => ({ ...prev, [statement]: false }));
+    setUnitSettings((prev) => (prev.statements[statement]?.current
+      ? { ...prev, statements: { ...prev.statements, [statement]: { ...prev.statements[statement], current: '' } } }
+      : prev));
+    setSelectedRowIds(new Set());
+    setQcComplete(false);
+    setReextraction(null);
+    setStatus({
+      type: 'success',
+      message: `Re-extracted ${statement}: ${changes.length} change${changes.length === 1 ? '' : 's'} applied. Review the statement again before marking it reviewed.`,
+    });
+  };
+
+  const openComparison = (data, sourceLabel, workspace = {}) => {
+    setComparison({
+      status: 'ready',
+      documentId: activeDocumentId,
+      sourceLabel,
+      lineItems: (Array.isArray(workspace.lineItems) ? workspace.lineItems : data?.lineItems || [])
+        .filter((row) => row && typeof row === 'object'),
+      valueColumns: Array.isArray(workspace.valueColumns) ? workspace.valueColumns : data?.valueColumns || [],
+      kept: new Set(),
+    });
+    setActiveWorkspaceTab('compare');
+  };
+
+  const handleComparisonPdfChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (event.target) {
+      event.target.value = '';
+    }
+    if (!file) return;
+
+    const documentId = activeDocumentId;
+    const controller = new AbortController();
+    comparisonControllerRef.current = controller;
+    setComparison({ status: 'loading', documentId, sourceLabel: file.name, progress: null });
+    try {
+      const extraction = await runExtraction(file, {
+        signal: controller.signal,
+        timeoutMs: extractionSettings.timeoutMinutes * 60000,
+        maxRetries: extractionSettings.maxRetries,
+        onProgress: (progress) => setComparison((prev) => (prev ? { ...prev, progress } : prev)),
+      });
+      if (latestDocumentRef.current.activeDocumentId !== documentId) {
+        setComparison(null);
+        return;
+      }
+      openComparison(extraction, `Fresh extraction of ${file.name}`);
+      setStatus({ type: 'success', message: `Comparison extraction of ${file.name} is ready.` });
+    } catch (err) {
+      setComparison(null);
+      if (isCancelledError(err)) {
+        return;
+      }
+      console.error(err);
+      const failure = describeExtractionError(err);
+      setStatus({ type: 'error', message: `${failure.label} - ${file.name}: ${failure.message}` });
+    } finally {
+      comparisonControllerRef.current = null;
+    }
+  };
+
+  const handleComparisonProjectChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const project = parseProjectFile(await file.text());
+      openComparison(project.extraction, `Project ${file.name}`, project.workspace);
+      setStatus({ type: 'success', message: `Comparing against the project ${file.name}.` });
+    } catch (err) {
+      console.error(err);
+      setStatus({ type: 'error', message: err?.message || 'Failed to open the project file.' });
+    } finally {
+      if (event.target) {
+        event.target.value = '';
+      }
+    }
+  };
+
+  const handlePriorWorkbookChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const workbook = readVerifiedWorkbook(await file.arrayBuffer());
+      setPriorPeriod({
+        documentId: activeDocumentId,
+        fileName: file.name,
+        statements: workbook.statements,
+        sopSummary: workbook.sopSummary,
+        columns: {},
+      });
+      setStatus({
+        type: 'success',
+        message: `Loaded prior-period values from ${file.name}: ${workbook.statements.length} statement${workbook.statements.length === 1 ? '' : 's'} and ${workbook.sopSummary.length} SOP metric${workbook.sopSummary.length === 1 ? '' : 's'}.`,
+      });
+    } catch (err) {
+      console.error(err);
+      setStatus({ type: 'error', message: err?.message || 'Failed to read the prior-period workbook.' });
+    } finally {
+      if (event.target) {
+        event.target.value = '';
+      }
+    }
+  };
+
+  const applyWorkbookToActiveDocument = (workbook, fileName) => {
+    const imported = workbookToLineItems(workbook, statements);
+    const nextColumns = [...valueColumns, ...imported.valueColumns.filter((column) => !valueColumns.includes(column))];
+    const auditChanges = [];
+    const mergedRows = [];
+    const addedRows = [];
+    const removedRows = [];
+    const touchedStatements = [];
+    let nextItems = lineItems;
+    imported.statements.forEach((statement) => {
+      const currentRows = lineItems.filter((row) => row.statement === statement.name);
+      const previousById = new Map(currentRows.map((row) => [row.rowId, row]));
+      const merge = mergeStatementRows(currentRows, statement.lineItems, statement.columns, statement.name);
+      if (!merge.changes.length) {
+        return;
+      }
+      // Columns missing from the sheet and row provenance (page, bbox) are kept from the workbench.
+      const rows = merge.rows.map((row) => {
+        const previous = previousById.get(row.rowId);
+        return previous ? { ...previous, ...row } : row;
+      });
+      merge.changes.forEach((change) => {
+        if (change.type === 'changed') {
+          auditChanges.push({ row: change.row, column: change.column, previous: change.before, current: change.after });
+        } else if (change.type === 'added') {
+          addedRows.push(change.row);
+        } else {
+          removedRows.push(change.row);
+        }
+      });
+      touchedStatements.push(statement.name);
+      mergedRows.push(...rows);
+      const insertAt = nextItems.findIndex((item) => item.statement === statement.name);
+      const remaining = nextItems.filter((item) => item.statement !== statement.name);
+      const position = insertAt === -1 ? remaining.length : insertAt;
+      nextItems = [...remaining.slice(0, position), ...rows, ...remaining.slice(position)];
+    });
+
+    const importedSop = new Map(workbook.sopSummary.map((entry) => [normaliseKey(entry.metric), entry]));
+    const nextSopSummary = syncSopEntriesWithRows(sopSummary, mergedRows, nextColumns, removedRows)
+      .map((entry) => {
+        const importedEntry = importedSop.get(normaliseKey(entry.metric));
+        if (!importedEntry || normaliseSopValue(importedEntry.value) === entry.value) {
+          return entry;
+        }
+        return {
+          ...entry,
+          value: normaliseSopValue(importedEntry.value),
+          statement: importedEntry.statement || entry.statement,
+          column: importedEntry.column || entry.column,
+          sourceLine: importedEntry.sourceLine || entry.sourceLine,
+        };
+      });
+    // Imported SOP values are kept as stored so row aggregation does not replace them on screen.
+    const displayedValues = new Map(displayedSopSummary.map((entry) => [entry.metric, entry.value]));
+    const importedSopMetrics = nextSopSummary
+      .filter((entry) => !entry.manual && !manualSopOverrides[entry.metric] && importedSop.has(normaliseKey(entry.metric))
+        && entry.value !== displayedValues.get(entry.metric))
+      .map((entry) => entry.metric);
+    const sopChanges = nextSopSummary.filter((entry, index) => (
+      entry.value !== sopSummary[index]?.value || importedSopMetrics.includes(entry.metric)
+    )).length;
+
+    if (!touchedStatements.length && !sopChanges) {
+      setStatus({ type: 'info', message: `${fileName} matches the current workspace. Nothing was changed.` });
+      return;
+    }
+    recordHistory(`Imported ${fileName}`);
+    appendAuditEntries(auditChanges, 'Workbook import');
+    setLineItems(nextItems);
+    if (nextColumns.length !== valueColumns.length) {
+      setValueColumns(nextColumns);
+    }
+    if (addedRows.length) {
+      setOriginalValues((prev) => ({ ...prev, ...buildOriginalValueMap(addedRows, nextColumns) }));
+    }
+    setSopSummary(nextSopSummary);
+    if (importedSopMetrics.length) {
+      setSopAggregationRules((prev) => ({
+        ...prev,
+        ...Object.fromEntries(importedSopMetrics.map((metric) => [metric, { ...prev[metric], aggregation: 'stored' }])),
+      }));
+    }
+    setVerifiedStatements((prev) => ({
+      ...prev,
+      ...Object.fromEntries(touchedStatements.map((statement) => [statement, false])),
+    }));
+    setSelectedRowIds(new Set());
+    setQcComplete(false);
+    setStatus({
+      type: 'success',
+      message: `Imported ${fileName}: ${auditChanges.length} value${auditChanges.length === 1 ? '' : 's'} changed, ${addedRows.length} row${addedRows.length === 1 ? '' : 's'} added, ${removedRows.length} removed and ${sopChanges} SOP metric${sopChanges === 1 ? '' : 's'} updated.`,
+    });
+  };
+
+  const handleWorkbookImportChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const workbook = readVerifiedWorkbook(await file.arrayBuffer());
+      const workbookPdfName = workbook.cover['Source PDF']
+        || `${file.name.replace(/(_verified)?\.xlsx$/i, '')}.pdf`;
+      if (lineItems.length && normaliseKey(workbookPdfName) === normaliseKey(pdfName)) {
+        applyWorkbookToActiveDocument(workbook, file.name);
+        return;
+      }
+      const openDocument = documents.find((doc) => normaliseKey(doc.pdfName) === normaliseKey(workbookPdfName));
+      if (openDocument) {
+        setStatus({
+          type: 'warning',
+          message: `${openDocument.pdfName} is already open. Switch to it first to apply ${file.name} to its review.`,
+        });
+        return;
+      }
+      const imported = workbookToLineItems(workbook);
+      const extraction = {
+        pdfName: workbookPdfName,
+        lineItems: imported.lineItems,
+        valueColumns: imported.valueColumns,
+        sopSummary: workbook.sopSummary,
+        reportMetadata: workbook.cover,
+      };
+      const workspace = buildWorkspaceFromExtraction(
+        extraction,
+        latestDocumentRef.current.snapshot?.sopTemplate || DEFAULT_SOP_TEMPLATE,
+      );
+      openDocumentSnapshot({ ...workspace, extractionResult: extraction }, `Imported ${file.name}`);
+      setStatus({
+        type: 'success',
+        message: `Imported ${file.name}: ${imported.lineItems.length} rows across ${imported.statements.length} statement${imported.statements.length === 1 ? '' : 's'}. The source PDF is not attached, so PDF highlighting and re-extraction are unavailable.`,
+      });
+    } catch (err) {
+      console.error(err);
+      setStatus({ type: 'error', message: err?.message || 'Failed to import the workbook.' });
+    } finally {
+      if (event.target) {
+        event.target.value = '';
+      }
+    }
+  };
+
+  const handleComparisonClose = () => {
+    comparisonControllerRef.current?.abort();
+    setComparison(null);
+  };
+
+  const handleComparisonKeep = (ids) => {
+    setComparison((prev) => (prev ? { ...prev, kept: new Set([...prev.kept, ...ids]) } : prev));
+  };
+
+  const handleComparisonTake = (differences, label) => {
+    const stamp = Date.now();
+    const cellUpdates = new Map();
+    const auditChanges = [];
+    const additions = [];
+    const removedRows = [];
+    const touchedStatements = new Set();
+    const touchedColumns = new Set();
+    differences.forEach((difference, index) => {
+      if (difference.kind === 'changed') {
+        const updates = { ...(cellUpdates.get(difference.left.rowId) || {}) };
+        difference.cells.forEach((cell) => {
+          updates[cell.column] = cell.right;
+          touchedColumns.add(cell.column);
+          auditChanges.push({ row: difference.left, column: cell.column, previous: cell.left, current: cell.right });
+        });
+        cellUpdates.set(difference.left.rowId, updates);
+        touchedStatements.add(difference.left.statement);
+        return;
+      }
+      if (difference.kind === 'added') {
+        const { verified: _discardVerified, Verified: _discardVerifiedUpper, ...rest } = difference.right;
+        additions.push({ ...rest, rowId: `compare-${stamp}-${index}` });
+        comparison.valueColumns.forEach((column) => touchedColumns.add(column));
+        touchedStatements.add(rest.statement);
+        return;
+      }
+      removedRows.push(difference.left);
+      touchedStatements.add(difference.left.statement);
+    });
+    const missingColumns = [...touchedColumns].filter((column) => !valueColumns.includes(column));
+    const nextColumns = [...valueColumns, ...missingColumns];
+    const removedIds = new Set(removedRows.map((row) => row.rowId));
+    const updatedRows = lineItems
+      .filter((item) => cellUpdates.has(item.rowId))
+      .map((item) => ({ ...item, ...cellUpdates.get(item.rowId) }));
+
+    recordHistory(label);
+    appendAuditEntries(auditChanges, 'Compare merge');
+    setLineItems((items) => {
+      const next = items
+        .filter((item) => !removedIds.has(item.rowId))
+        .map((item) => (cellUpdates.has(item.rowId) ? { ...item, ...cellUpdates.get(item.rowId) } : item));
+      additions.forEach((row) => {
+        const lastIndex = next.findLastIndex((item) => item.statement === row.statement);
+        next.splice(lastIndex === -1 ? next.length : lastIndex + 1, 0, row);
+      });
+      return next;
+    });
+    if (missingColumns.length) {
+      setValueColumns(nextColumns);
+    }
+    if (additions.length) {
+      setOriginalValues((prev) => ({ ...prev, ...buildOriginalValueMap(additions, nextColumns) }));
+    }
+    if (removedIds.size) {
+      setSelectedRowIds((prev) => new Set([...prev].filter((rowId) => !removedIds.has(rowId))));
+    }
+    setSopSummary((current) => syncSopEntriesWithRows(current, [...updatedRows, ...additions], nextColumns, removedRows));
+    setVerifiedStatements((prev) => ({
+      ...prev,
+      ...Object.fromEntries([...touchedStatements].filter(Boolean).map((statement) => [statement, false])),
+    }));
+    setQcComplete(false);
+    setStatus({ type: 'success', message: `${label}. Affected statements need to be reviewed again.` });
+  };
+
+  const updateActiveUnitEntry = (update) => {
+    setUnitSettings((prev) => ({
+      ...prev,
+      statements: {
+        ...prev.statements,
+        [activeStatement]: update(prev.statements[activeStatement] || { declared: '', columns: {}, current: '' }),
+      },
+    }));
+  };
+
+  const handleStatementUnitChange = (column, scale) => {
+    if (!activeStatement) {
+      return;
+    }
+    if (unitSettings.statements[activeStatement]?.current) {
+      setStatus({ type: 'warning', message: `Restore the declared units of ${activeStatement} before changing them.` });
+      return;
+    }
+    recordHistory(`Declared units for ${activeStatement}`, `units:${activeStatement}`);
+    updateActiveUnitEntry((entry) => {
+      if (!column) {
+        return { ...entry, declared: scale };
+      }
+      const columns = { ...entry.columns };
+      if (scale) {
+        columns[column] = scale;
+      } else {
+        delete columns[column];
+      }
+      return { ...entry, columns };
     });
-    setQcComplete(false);
   };
 
-  const handleRemoveManualBreakdownCalculationStep = (metric, entryId, index) => {
-    setManualSopEntries((prev) => {
-      const existing = Array.isArray(prev?.[metric]) ? prev[metric] : [];
-      const updated = existing.map((entry) => {
-        if (entry.id !== entryId) {
-          return entry;
+  const rescaleActiveStatement = (resolveTargetScale, { auditAction, historyLabel, current }) => {
+    const entry = unitSettings.statements[activeStatement];
+    const undeclared = statementValueColumns.filter((column) => (
+      !resolveColumnScale(entry, column, reportMetadata.unitScale)
+    ));
+    if (undeclared.length) {
+      setStatus({
+        type: 'warning',
+        message: `Declare the unit of ${undeclared.join(', ')} (or the report unit scale) before converting ${activeStatement}.`,
+      });
+      return null;
+    }
+    const declaredText = entry?.current ? entry.declaredText || {} : {};
+    let updatedCells = 0;
+    lineItems.forEach((row) => {
+      if (row.statement !== activeStatement || PER_SHARE_PATTERN.test(row.lineItem || row['Line Item'] || '')) {
+        return;
+      }
+      statementValueColumns.forEach((column) => {
+        const factor = getUnitFactor(resolveColumnScale(entry, column, reportMetadata.unitScale))
+          / getUnitFactor(resolveTargetScale(column));
+        if (factor === 1) {
+          return;
+        }
+        let nextValue = convertScaledValue(row[column], factor);
+        if (nextValue === null) {
+          return;
+        }
+        const cellKey = buildCellKey(row.rowId, column);
+        const cellText = toCellText(row[column]).trim();
+        if (!entry?.current) {
+          declaredText[cellKey] = cellText;
+        }
+        const printedText = declaredText[cellKey];
+        const printedValue = typeof printedText === 'string' ? parseNumericValue(printedText) : null;
+        const restoredValue = parseNumericValue(nextValue);
+        if (!current && printedValue !== null
+          && Math.abs(printedValue - restoredValue) <= 1e-9 * Math.max(1, Math.abs(printedValue))) {
+          nextValue = printedText;
+        }
+        if (nextValue !== cellText) {
+          updatedCells += 1;
+          handleValueChange(row.rowId, column, nextValue, { preserveStatus: true, auditAction });
         }
-        const steps = Array.isArray(entry.calculation)
-          ? entry.calculation.filter((_, stepIndex) => stepIndex !== index)
-          : [];
-        return {
-          ...entry,
-          calculation: steps,
-        };
       });
-      return {
-        ...(prev || {}),
-        [metric]: updated,
-      };
     });
-    setQcComplete(false);
+    recordHistory(historyLabel);
+    updateActiveUnitEntry((previous) => ({ ...previous, current, declaredText: current ? declaredText : {} }));
+    return updatedCells;
   };
 
-  const handleRemoveManualBreakdownEntry = (metric, entryId) => {
-    setManualSopEntries((prev) => {
-      const existing = Array.isArray(prev?.[metric]) ? prev[metric] : [];
-      const filtered = existing.filter((entry) => entry.id !== entryId);
-      const next = { ...(prev || {}) };
-      if (filtered.length) {
-        next[metric] = filtered;
-      } else {
-        delete next[metric];
-      }
-      return next;
-    });
-    setQcComplete(false);
-    setStatus({ type: 'info', message: `Removed a manual breakdown entry from "${metric}".` });
-  };
-
-  const handleStatementAddZeros = () => {
+  const handleStatementConvertUnits = () => {
     if (!activeStatement) {
-      setStatus({ type: 'warning', message: 'Select a statement before applying the multiplier.' });
+      setStatus({ type: 'warning', message: 'Select a statement before converting units.' });
       return;
     }
-    if (statementMultiplierApplied[activeStatement]) {
-      setStatus({
-        type: 'info',
-        message: `The x1,000 multiplier has already been applied to ${activeStatement}.`,
-      });
+    const targetLabel = describeOption(REPORT_UNIT_SCALES, unitSettings.target);
+    if (unitSettings.statements[activeStatement]?.current === unitSettings.target) {
+      setStatus({ type: 'info', message: `${activeStatement} is already shown in ${targetLabel.toLowerCase()}.` });
       return;
     }
     if (!statementValueColumns.length) {
       setStatus({ type: 'info', message: 'No numeric columns available in this statement.' });
       return;
     }
-    let updatedCells = 0;
-    lineItems.forEach((row) => {
-      if (row.statement !== activeStatement) {
-        return;
-      }
-      statementValueColumns.forEach((column) => {
-        const nextValue = appendThreeZeros(row[column]);
-        if (nextValue === null) {
-          return;
-        }
-        const original = row[column] === null || typeof row[column] === 'undefined'
-          ? ''
-          : row[column].toString().trim();
-        if (nextValue !== original) {
-          updatedCells += 1;
-          handleValueChange(row.rowId, column, nextValue, { preserveStatus: true });
-        }
-      });
+    const updatedCells = rescaleActiveStatement(() => unitSettings.target, {
+      auditAction: 'Convert units',
+      historyLabel: `Converted ${activeStatement} to ${targetLabel.toLowerCase()}`,
+      current: unitSettings.target,
     });
-    if (updatedCells) {
-      setStatementMultiplierApplied((prev) => ({
-        ...prev,
-        [activeStatement]: true,
-      }));
+    if (updatedCells !== null) {
       setStatus({
         type: 'success',
-        message: `Added three zeros to ${updatedCells} cell${updatedCells === 1 ? '' : 's'} in ${activeStatement}.`,
+        message: `Converted ${updatedCells} cell${updatedCells === 1 ? '' : 's'} in ${activeStatement} to ${targetLabel.toLowerCase()}.`,
       });
-    } else {
-      setStatus({ type: 'info', message: 'No numeric values were updated.' });
+    }
+  };
+
+  const handleStatementRestoreUnits = () => {
+    const entry = unitSettings.statements[activeStatement];
+    if (!entry?.current) {
+      return;
+    }
+    const updatedCells = rescaleActiveStatement(
+      (column) => resolveDeclaredScale(entry, column, reportMetadata.unitScale),
+      {
+        auditAction: 'Restore declared units',
+        historyLabel: `Restored declared units for ${activeStatement}`,
+        current: '',
+      },
+    );
+    if (updatedCells !== null) {
+      setStatus({
+        type: 'success',
+        message: `Restored ${updatedCells} cell${updatedCells === 1 ? '' : 's'} in ${activeStatement} to the declared units.`,
+      });
     }
   };
 
@@ -1534,11 +4392,12 @@ function App() {
           : row[column].toString().trim();
         if (nextValue !== original) {
           updatedCells += 1;
-          handleValueChange(row.rowId, column, nextValue, { preserveStatus: true });
+          handleValueChange(row.rowId, column, nextValue, { preserveStatus: true, auditAction: 'Convert to positive' });
         }
       });
     });
     if (updatedCells) {
+      recordHistory(`Converted negatives in ${activeStatement}`);
       setStatus({
         type: 'success',
         message: `Converted ${updatedCells} cell${updatedCells === 1 ? '' : 's'} to positive in ${activeStatement}.`,
@@ -1558,6 +4417,13 @@ function App() {
     const statementKey = statementName.toString().toLowerCase();
     const lineItemKey = lineItemName.toString().toLowerCase();
 
+    recordHistory(`Deleted row "${lineItemName || 'Row'}"`);
+    appendAuditEntries(
+      valueColumns
+        .filter((column) => toCellText(targetRow[column]))
+        .map((column) => ({ row: targetRow, column, previous: toCellText(targetRow[column]), current: '' })),
+      'Delete row',
+    );
     setLineItems((prev) => prev.filter((item) => item.rowId !== rowId));
 
     setSelectedRowIds((prev) => {
@@ -1606,6 +4472,13 @@ function App() {
     }
     const columnKey = columnName.toString().toLowerCase();
 
+    recordHistory(`Removed column "${columnName}"`);
+    appendAuditEntries(
+      lineItems
+        .filter((item) => toCellText(item[columnName]))
+        .map((item) => ({ row: item, column: columnName, previous: toCellText(item[columnName]), current: '' })),
+      'Remove column',
+    );
     setValueColumns((cols) => cols.filter((column) => column !== columnName));
 
     setLineItems((prev) => prev.map((item) => {
@@ -1687,188 +4560,446 @@ function App() {
     setStatus({ type: 'info', message: `Column "${columnName}" removed.` });
   };
 
-  const handleFileChange = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-
-    setLoading(true);
-    setError('');
-    setStatus({
-      type: 'info',
-      message: 'Uploading PDF to the server... This can take 2-3 minutes.',
-    });
-    setQcComplete(false);
-    setSopSummary(buildEmptySopSummary());
-    setSopMetadata({ latestColumns: {} });
-    setEditingSopMetric(null);
-    setSopEditDraft(buildEmptySopEditDraft());
-    setActiveWorkspaceTab('overview');
-
-    let successMessage = null;
+  const updateUploadItem = (itemId, changes) => {
+    setUploadQueue((prev) => prev.map((item) => (item.id === itemId ? { ...item, ...changes } : item)));
+  };
 
+  const processUploadItem = async (item) => {
+    const controller = new AbortController();
+    uploadControllersRef.current.set(item.id, controller);
     try {
-      const formData = new FormData();
-      formData.append('file', file);
-
-      const response = await axios.post(
-        `${API_BASE_URL}/api/process`,
-        formData,
-        {
-          headers: { 'Content-Type': 'multipart/form-data' },
-        },
+      const extraction = await runExtraction(item.file, {
+        signal: controller.signal,
+        timeoutMs: extractionSettings.timeoutMinutes * 60000,
+        maxRetries: extractionSettings.maxRetries,
+        onProgress: (progress) => updateUploadItem(item.id, { progress }),
+      });
+
+      const workspace = buildWorkspaceFromExtraction(
+        extraction,
+        latestDocumentRef.current.snapshot?.sopTemplate || DEFAULT_SOP_TEMPLATE,
       );
+      const workspaceSessionKey = buildSessionKey(workspace.pdfName, workspace.pdfBase64);
+      const existingSession = await loadSession(workspaceSessionKey).catch(() => null);
+      const outcome = addExtractedDocument({
+        ...workspace,
+        extractionResult: omitPdfPayload(extraction),
+      });
 
-      const nextValueColumns = response.data.valueColumns || [];
-      const sopEntries = normaliseSopSummaryEntries(response.data.sopSummary);
-      const candidateMetricList = Array.isArray(response.data.candidateMetrics)
-        ? response.data.candidateMetrics
-        : [];
-
-      const incomingLineItems = response.data.lineItems || [];
-      const sanitizedLineItems = incomingLineItems.map((item) => {
-        if (!item || typeof item !== 'object') return item;
-        const { verified: _discardVerified, Verified: _discardVerifiedUpper, ...rest } = item;
-        return { ...rest };
+      if (existingSession && !outcome.duplicateOf) {
+        setSavedSessions((prev) => [
+          existingSession,
+          ...prev.filter((session) => session.sessionKey !== existingSession.sessionKey),
+        ]);
+      }
+      updateUploadItem(item.id, {
+        status: 'ready',
+        finishedAt: Date.now(),
+        documentId: outcome.documentId,
+        pdfName: workspace.pdfName,
+        sessionKey: workspaceSessionKey,
+        duplicateSnapshot: outcome.duplicateOf ? { ...workspace, extractionResult: omitPdfPayload(extraction) } : null,
+        note: outcome.note || (existingSession ? 'A saved session exists - restore or discard it above.' : ''),
+      });
+      setStatus({
+        type: outcome.duplicateOf ? 'warning' : 'success',
+        message: outcome.duplicateOf
+          ? `${workspace.pdfName} is already open. Replace it or open the new extraction as a copy from the upload queue.`
+          : outcome.opened
+            ? `Extraction complete for ${item.fileName}. Review each statement and mark it as reviewed when done.`
+            : `Extraction complete for ${item.fileName}. Open it from the document list when you are ready.`,
       });
+    } catch (err) {
+      if (isCancelledError(err)) {
+        updateUploadItem(item.id, { status: 'cancelled', finishedAt: Date.now() });
+        setStatus({ type: 'info', message: `Cancelled the extraction of ${item.fileName}.` });
+        return;
+      }
+      console.error(err);
+      const failure = describeExtractionError(err);
+      updateUploadItem(item.id, {
+        status: 'failed',
+        finishedAt: Date.now(),
+        error: failure.message,
+        errorLabel: failure.label,
+      });
+      setStatus({ type: 'error', message: `${failure.label} - ${item.fileName}: ${failure.message}` });
+    } finally {
+      uploadControllersRef.current.delete(item.id);
+    }
+  };
 
-      const lineLookup = new Map();
-      sanitizedLineItems.forEach((item) => {
-        if (!item || typeof item !== 'object') {
-          return;
-        }
-        const statementKey = (item.statement || '').toString().toLowerCase().trim();
-        const labelKey = (item.lineItem || item['Line Item'] || '').toString().toLowerCase().trim();
-        if (!statementKey || !labelKey) {
-          return;
-        }
-        const key = `${statementKey}||${labelKey}`;
-        if (!lineLookup.has(key)) {
-          lineLookup.set(key, item);
-        }
+  useEffect(() => {
+    processUploadItemRef.current = processUploadItem;
+  });
+
+  useEffect(() => {
+    const processingCount = uploadQueue.filter((item) => item.status === 'processing').length;
+    const startable = uploadQueue
+      .filter((item) => item.status === 'queued')
+      .slice(0, Math.max(0, UPLOAD_CONCURRENCY - processingCount));
+    if (!startable.length) {
+      return;
+    }
+    const startedAt = Date.now();
+    const startedIds = new Set(startable.map((item) => item.id));
+    setUploadQueue((prev) => prev.map((item) => (
+      startedIds.has(item.id)
+        ? { ...item, status: 'processing', startedAt, finishedAt: null, error: '', progress: null }
+        : item
+    )));
+    startable.forEach((item) => {
+      processUploadItemRef.current(item);
+    });
+  }, [uploadQueue]);
+
+  const enqueueFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    const pdfFiles = files.filter(isPdfFile);
+    const skippedCount = files.length - pdfFiles.length;
+    if (!pdfFiles.length) {
+      setStatus({ type: 'warning', message: 'No PDF files were found in the selection.' });
+      return;
+    }
+    const queuedAt = Date.now();
+    setUploadQueue((prev) => [
+      ...prev,
+      ...pdfFiles.map((file, index) => ({
+        id: `upload-${queuedAt}-${index}`,
+        file,
+        fileName: file.webkitRelativePath || file.name,
+        status: 'queued',
+        queuedAt,
+        startedAt: null,
+        finishedAt: null,
+        documentId: null,
+        pdfName: '',
+        duplicateSnapshot: null,
+        error: '',
+        note: '',
+        progress: null,
+      })),
+    ]);
+    setStatus({
+      type: 'info',
+      message: `Queued ${pdfFiles.length} PDF${pdfFiles.length === 1 ? '' : 's'} for extraction. This can take 2-3 minutes per report.${skippedCount
+        ? ` Skipped ${skippedCount} file${skippedCount === 1 ? '' : 's'} that ${skippedCount === 1 ? 'is' : 'are'} not a PDF.`
+        : ''}`,
+    });
+  };
+
+  const handleFileChange = (event) => {
+    enqueueFiles(event.target.files);
+    if (event.target) {
+      event.target.value = '';
+    }
+  };
+
+  const handleRetryUpload = (itemId) => {
+    updateUploadItem(itemId, {
+      status: 'queued',
+      error: '',
+      errorLabel: '',
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+    });
+  };
+
+  const handleCancelUpload = (itemId) => {
+    const controller = uploadControllersRef.current.get(itemId);
+    if (controller) {
+      controller.abort();
+      return;
+    }
+    setUploadQueue((prev) => prev.map((item) => (
+      item.id === itemId && item.status === 'queued'
+        ? { ...item, status: 'cancelled', finishedAt: Date.now() }
+        : item
+    )));
+  };
+
+  const handleRemoveUpload = (itemId) => {
+    setUploadQueue((prev) => prev.filter((item) => item.id !== itemId || item.status === 'processing'));
+  };
+
+  const handleReplaceWithUpload = (item) => {
+    if (!item.duplicateSnapshot) {
+      return;
+    }
+    const id = openDocumentSnapshot(item.duplicateSnapshot, 'Extraction replaced');
+    updateUploadItem(item.id, { documentId: id, duplicateSnapshot: null, note: 'Replaced the open document.' });
+    setStatus({ type: 'success', message: `Replaced ${item.pdfName} with the new extraction.` });
+  };
+
+  // A copy gets its own name so the two reviews do not autosave over each other.
+  const handleOpenUploadAsCopy = (item) => {
+    if (!item.duplicateSnapshot) {
+      return;
+    }
+    const openNames = new Set(latestDocumentRef.current.documents.map((doc) => doc.pdfName));
+    const extensionMatch = item.pdfName.match(/(\.pdf)$/i);
+    const baseName = extensionMatch ? item.pdfName.slice(0, -extensionMatch[1].length) : item.pdfName;
+    let copyNumber = 2;
+    while (openNames.has(`${baseName} (${copyNumber})${extensionMatch?.[1] || ''}`)) {
+      copyNumber += 1;
+    }
+    const copyName = `${baseName} (${copyNumber})${extensionMatch?.[1] || ''}`;
+    const id = openDocumentSnapshot({ ...item.duplicateSnapshot, pdfName: copyName }, 'Extraction loaded');
+    updateUploadItem(item.id, {
+      documentId: id,
+      pdfName: copyName,
+      sessionKey: buildSessionKey(copyName, item.duplicateSnapshot.pdfBase64),
+      duplicateSnapshot: null,
+      note: `Opened as ${copyName}.`,
+    });
+    setStatus({ type: 'success', message: `Opened the new extraction as ${copyName}.` });
+  };
+
+  const handleOpenUploadedDocument = async (item) => {
+    const openDocument = documents.find((doc) => doc.id === item.documentId)
+      || documents.find((doc) => doc.pdfName === item.pdfName);
+    if (openDocument) {
+      handleSwitchDocument(openDocument.id);
+      updateUploadItem(item.id, { documentId: openDocument.id, note: '' });
+      return;
+    }
+    const session = await loadSession(item.sessionKey).catch(() => null);
+    if (!session) {
+      setStatus({ type: 'warning', message: `No saved session was found for ${item.pdfName}. Retry the extraction to open it again.` });
+      return;
+    }
+    const id = openDocumentSnapshot(session, 'Restored saved session');
+    setSavedSessions((prev) => prev.filter((entry) => entry.sessionKey !== session.sessionKey));
+    setDeferredSessions((prev) => prev.filter((entry) => entry.sessionKey !== session.sessionKey));
+    updateUploadItem(item.id, { documentId: id, note: '' });
+    setStatus({ type: 'success', message: `Reopened ${item.pdfName} from its saved session.` });
+  };
+
+  const handleClearFinishedUploads = () => {
+    setUploadQueue((prev) => prev.filter((item) => item.status === 'queued' || item.status === 'processing'));
+  };
+
+  const handleShellDragOver = (event) => {
+    if (!Array.from(event.dataTransfer?.types || []).includes('Files')) {
+      return;
+    }
+    event.preventDefault();
+    if (!dropActive) {
+      setDropActive(true);
+    }
+  };
+
+  const handleShellDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setDropActive(false);
+    }
+  };
+
+  const handleShellDrop = async (event) => {
+    if (!Array.from(event.dataTransfer?.types || []).includes('Files')) {
+      return;
+    }
+    event.preventDefault();
+    setDropActive(false);
+    enqueueFiles(await collectDroppedFiles(event.dataTransfer));
+  };
+
+  const handleExportProject = () => {
+    if (!lineItems.length) {
+      setStatus({ type: 'warning', message: 'There is nothing to export yet. Upload a PDF first.' });
+      return;
+    }
+    const {
+      sessionKey: _omitSessionKey,
+      pdfName: _omitPdfName,
+      pdfBase64: _omitPdfBase64,
+      extractionResult: _omitExtraction,
+      ...workspace
+    } = sessionSnapshot;
+    const project = {
+      format: PROJECT_FILE_FORMAT,
+      version: PROJECT_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      extraction: {
+        ...(extractionResult || {}),
+        pdfName,
+        pdfBase64,
+      },
+      workspace,
+    };
+    const baseName = pdfName ? pdfName.replace(/\.pdf$/i, '') : 'qc_project';
+    downloadBlob(
+      new Blob([JSON.stringify(project)], { type: 'application/json' }),
+      `${baseName}${PROJECT_FILE_EXTENSION}`,
+    );
+    setStatus({ type: 'success', message: `Project exported as ${baseName}${PROJECT_FILE_EXTENSION}.` });
+  };
+
+  const handleProjectFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const project = parseProjectFile(await file.text());
+      const workspace = buildWorkspaceFromExtraction(project.extraction);
+      openDocumentSnapshot({
+        ...workspace,
+        ...project.workspace,
+        pdfName: workspace.pdfName,
+        pdfBase64: workspace.pdfBase64,
+        extractionResult: omitPdfPayload(project.extraction),
+      }, 'Opened project');
+      const projectSessionKey = buildSessionKey(workspace.pdfName, workspace.pdfBase64);
+      setSavedSessions((prev) => prev.filter((session) => session.sessionKey !== projectSessionKey));
+      setStatus({
+        type: 'success',
+        message: `Opened project for ${workspace.pdfName || file.name}. All saved edits have been restored.`,
       });
+    } catch (err) {
+      console.error(err);
+      setStatus({ type: 'error', message: err?.message || 'Failed to open the project file.' });
+    } finally {
+      if (event.target) {
+        event.target.value = '';
+      }
+    }
+  };
 
-      const initialManualEntries = {};
-      sopEntries.forEach((entry, index) => {
-        if (!entry || typeof entry !== 'object') {
-          return;
-        }
-        const statementKey = entry.statement ? entry.statement.toString().toLowerCase().trim() : '';
-        const lineKey = entry.sourceLine ? entry.sourceLine.toString().toLowerCase().trim() : '';
-        const lookupKey = statementKey && lineKey ? `${statementKey}||${lineKey}` : '';
-        if (lookupKey && lineLookup.has(lookupKey)) {
-          const targetRow = lineLookup.get(lookupKey);
-          if (targetRow && !targetRow.classification && entry.metric) {
-            targetRow.classification = entry.metric;
-          }
-          return;
-        }
-        const hasDetails = [entry.statement, entry.column, entry.sourceLine, entry.value].some((field) => {
-          if (field === null || typeof field === 'undefined') {
-            return false;
-          }
-          const text = field.toString().trim();
-          return Boolean(text && text !== '-');
-        });
-        if (!hasDetails) {
-          return;
-        }
-        if (!initialManualEntries[entry.metric]) {
-          initialManualEntries[entry.metric] = [];
-        }
-        initialManualEntries[entry.metric].push({
-          id: `seed-${index}`,
-          statement: entry.statement || '',
-          lineItem: entry.sourceLine || '',
-          column: entry.column || '',
-          value: entry.value === '-' ? '' : (entry.value || ''),
-          calculation: Array.isArray(entry.calculation)
-            ? entry.calculation.map((step) => ({
-              ...createEmptyCalculationStep(),
-              ...step,
-              operator: step?.operator || '+',
-              statement: (step?.statement || '').trim(),
-              lineItem: (step?.lineItem || '').trim(),
-              column: (step?.column || '').trim(),
-              constant: (step?.constant || '').trim(),
-            }))
-            : [],
-        });
-      });
+  const handleFinalize = () => {
+    if (!totalRows) {
+      setStatus({ type: 'warning', message: 'No line items available to finalise.' });
+      return;
+    }
+    if (pendingStatements > 0) {
+      setStatus({ type: 'error', message: 'Please mark every statement as reviewed before finalising.' });
+      return;
+    }
+    const metadataIssues = validateReportMetadata(reportMetadata);
+    if (metadataIssues.length) {
+      setActiveWorkspaceTab('overview');
+      setStatus({
+        type: 'error',
+        message: `Complete the report details on the Overview tab before finalising: ${metadataIssues.join(', ')}.`,
+      });
+      return;
+    }
+    recordHistory('Finalized QC');
+    setQcComplete(true);
+    saveReportToCompanyHistory('QC complete. You may now export the verified dataset. ');
+  };
 
-      const statementsFromResponse = Array.from(new Set(sanitizedLineItems.map((item) => item?.statement))).filter(Boolean);
-      const emptyValues = nextValueColumns.reduce((acc, column) => ({ ...acc, [column]: '' }), {});
-
-      setPdfName(response.data.pdfName);
-      setPdfBase64(response.data.pdfBase64);
-      setLineItems(sanitizedLineItems);
-      setCandidateMetrics(candidateMetricList);
-      setValueColumns(nextValueColumns);
-      setStatementMultiplierApplied({});
-      setSopSummary(sopEntries);
-      setSopMetadata(response.data.sopMetadata || { latestColumns: {} });
-      setManualSopEntries(initialManualEntries);
-      setExpandedSopMetrics({});
-      setBreakdownDrafts({});
-      setEditingSopMetric(null);
-      setSopEditDraft(buildEmptySopEditDraft());
-      setVerifiedStatements(() => {
-        const map = {};
-        statementsFromResponse.forEach((statement) => {
-          map[statement] = false;
+  // An existing period is only replaced once the reviewer confirms it.
+  const saveReportToCompanyHistory = async (messagePrefix = '', { replace = false } = {}) => {
+    const company = reportMetadata.company.trim();
+    const period = reportMetadata.fiscalPeriod.trim();
+    if (!company || !period) {
+      setStatus({ type: 'warning', message: 'Enter the company and fiscal period before saving to the company history.' });
+      return;
+    }
+    try {
+      const existing = await loadPeriodSummary(company, period);
+      if (existing && !replace) {
+        const savedAtText = existing.savedAt ? new Date(existing.savedAt).toLocaleString() : 'an earlier session';
+        setHistoryOverwrite({ company, period, savedAtText, pdfName: existing.pdfName || '' });
+        setStatus({
+          type: 'warning',
+          message: `${messagePrefix}${company} - ${period} is already in the company history (saved ${savedAtText}${existing.pdfName ? ` from ${existing.pdfName}` : ''}). Replace it or keep the saved values.`,
         });
-        return map;
+        return;
+      }
+      await savePeriodSummary({
+        company,
+        period,
+        periodEnd: reportMetadata.periodEnd,
+        pdfName,
+        metrics: displayedSopSummary.map((entry) => ({
+          metric: entry.metric,
+          value: entry.value ?? '-',
+          unit: sopMetricDefinitions.get(entry.metric)?.unit || '',
+        })),
       });
-      setShowManualEntry(false);
-      setManualRow({
-        statement: statementsFromResponse[0] || '',
-        lineItem: '',
-        values: emptyValues,
+      setSeriesRevision((revision) => revision + 1);
+      setHistoryOverwrite(null);
+      setStatus({
+        type: 'success',
+        message: existing
+          ? `${messagePrefix}Replaced the saved SOP summary for ${company} - ${period} in the company history.`
+          : `${messagePrefix}Saved the SOP summary to the company history for ${company} - ${period}.`,
       });
-      setPdfZoom(1);
-      setActiveWorkspaceTab('statements');
+    } catch (err) {
+      console.error(err);
+      setStatus({ type: 'error', message: err?.message || 'Unable to save to the company history.' });
+    }
+  };
 
-      successMessage = 'Extraction complete. Review each statement and mark it as reviewed when done.';
+  const handleDeleteCompanyPeriod = async (record) => {
+    try {
+      await deletePeriodSummary(record.id);
+      setSeriesRevision((revision) => revision + 1);
+      setStatus({ type: 'info', message: `Removed ${record.period} from the history of ${record.company}.` });
     } catch (err) {
       console.error(err);
-      const errorMessage = err?.response?.data?.error || 'Failed to process PDF. Please try again.';
-      if (loadingIntervalRef.current) {
-        clearInterval(loadingIntervalRef.current);
-        loadingIntervalRef.current = null;
-      }
-      setError(errorMessage);
-      setStatus({ type: 'error', message: errorMessage });
-      setSopSummary(buildEmptySopSummary());
-      setSopMetadata({ latestColumns: {} });
-      setEditingSopMetric(null);
-      setSopEditDraft(buildEmptySopEditDraft());
-    } finally {
-      setLoading(false);
-      if (successMessage) {
-        setStatus({ type: 'success', message: successMessage });
-      }
-      if (event.target) {
-        event.target.value = '';
-      }
+      setStatus({ type: 'error', message: 'Unable to remove the period from the company history.' });
     }
   };
 
-  const handleFinalize = () => {
-    if (!totalRows) {
-      setStatus({ type: 'warning', message: 'No line items available to finalise.' });
-      return;
-    }
-    if (pendingStatements > 0) {
-      setStatus({ type: 'error', message: 'Please mark every statement as reviewed before finalising.' });
+  const buildCompanySeriesSheet = () => {
+    const sheet = XLSX.utils.aoa_to_sheet([
+      ['Metric', 'Unit', ...companySeries.periods.map((record) => record.period)],
+      ...companySeries.rows.map((row) => [row.metric, row.unit, ...row.values]),
+    ]);
+    sheet['!cols'] = [{ wch: 35 }, { wch: 10 }, ...companySeries.periods.map(() => ({ wch: 16 }))];
+    sheet['!cols'].forEach((_, idx) => {
+      const cellAddress = XLSX.utils.encode_cell({ c: idx, r: 0 });
+      if (sheet[cellAddress]) {
+        sheet[cellAddress].s = {
+          fill: { patternType: 'solid', fgColor: { rgb: 'FFFF00' } },
+          font: { bold: true },
+        };
+      }
+    });
+    return sheet;
+  };
+
+  const handleExportCompanySeries = (format) => {
+    const company = companyList.find((entry) => entry.companyKey === activeCompanyKey)?.company || 'company';
+    const baseName = `${company.replace(/[^a-zA-Z0-9]+/g, '_')}_sop_history`;
+    const sheet = buildCompanySeriesSheet();
+    if (format === 'csv') {
+      downloadBlob(new Blob([XLSX.utils.sheet_to_csv(sheet)], { type: 'text/csv' }), `${baseName}.csv`);
       return;
     }
-    setQcComplete(true);
-    setStatus({ type: 'success', message: 'QC complete. You may now export the verified dataset.' });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'SOP History');
+    XLSX.writeFile(workbook, `${baseName}.xlsx`, { cellStyles: true });
   };
 
   const handleStatementVerify = () => {
     if (!activeStatement) {
       return;
     }
+    const crossFootFailures = crossFootResults[activeStatement]?.failures || 0;
+    if (crossFootFailures > 0) {
+      const mismatchText = `${crossFootFailures} total${crossFootFailures === 1 ? ' does' : 's do'} not foot in ${activeStatement}`;
+      if (crossFootSettings.enforcement === 'block') {
+        setStatus({
+          type: 'error',
+          message: `${mismatchText}. Resolve the flagged cells or raise the rounding tolerance before marking it reviewed.`,
+        });
+        return;
+      }
+      if (reviewOverrideStatement !== activeStatement) {
+        setReviewOverrideStatement(activeStatement);
+        setStatus({
+          type: 'warning',
+          message: `${mismatchText}. Click Mark Reviewed Anyway to confirm.`,
+        });
+        return;
+      }
+    }
+    setReviewOverrideStatement('');
+    recordHistory(`Marked ${activeStatement} reviewed`);
     setVerifiedStatements((prev) => ({
       ...prev,
       [activeStatement]: true,
@@ -1881,6 +5012,37 @@ function App() {
     if (!qcComplete) return;
 
     const workbook = XLSX.utils.book_new();
+    const coverSheet = XLSX.utils.aoa_to_sheet([
+      ['Field', 'Value'],
+      ['Company', reportMetadata.company],
+      ['Ticker', reportMetadata.ticker],
+      ['Fiscal Period', reportMetadata.fiscalPeriod],
+      ['Period End', reportMetadata.periodEnd],
+      ['Period Type', describeOption(REPORT_PERIOD_TYPES, reportMetadata.periodType)],
+      ['Currency', reportMetadata.currency],
+      ['Unit Scale', describeOption(REPORT_UNIT_SCALES, reportMetadata.unitScale)],
+      ['Basis', describeOption(REPORT_SCOPES, reportMetadata.scope)],
+      ...statements.map((statementName) => {
+        const chosen = latestColumnOverrides[statementName];
+        const serverColumn = readStatementEntry(sopMetadata?.latestColumns, statementName);
+        return [
+          `Latest Column - ${statementName}`,
+          chosen ? `${chosen} (chosen by reviewer)` : serverColumn ? `${serverColumn} (from extraction)` : 'Not set',
+        ];
+      }),
+      ['Source PDF', pdfName],
+      ['SOP Template', sopTemplate.name],
+      ['Exported By', analystName.trim()],
+      ['Exported At', new Date().toISOString()],
+    ]);
+    coverSheet['!cols'] = [{ wch: 18 }, { wch: 40 }];
+    ['A1', 'B1'].forEach((cellAddress) => {
+      coverSheet[cellAddress].s = {
+        fill: { patternType: 'solid', fgColor: { rgb: 'FFFF00' } },
+        font: { bold: true },
+      };
+    });
+    XLSX.utils.book_append_sheet(workbook, coverSheet, COVER_SHEET_NAME);
     const preferredOrder = [
       'Profit or Loss',
       'Comprehensive Income',
@@ -1937,6 +5099,13 @@ function App() {
           'Line Item',
           ...relevantColumns,
         ];
+        const headerLabels = headerOrder.map((column, idx) => {
+          const unit = idx === 0 ? '' : describeUnit(
+            resolveColumnScale(unitSettings.statements[statementName], column, reportMetadata.unitScale),
+            reportMetadata.currency,
+          );
+          return unit ? `${column} [${unit}]` : column;
+        });
 
         const sheetRows = rows.map((item) => {
           const record = {
@@ -1966,9 +5135,7 @@ function App() {
         headerOrder.forEach((_, idx) => {
           worksheet['!cols'][idx] = { wch: idx === 0 ? 35 : 18 };
           const cellAddress = XLSX.utils.encode_cell({ c: idx, r: 0 });
-          if (!worksheet[cellAddress]) {
-            worksheet[cellAddress] = { v: headerOrder[idx], t: 's' };
-          }
+          worksheet[cellAddress] = { ...worksheet[cellAddress], v: headerLabels[idx], t: 's' };
           worksheet[cellAddress].s = {
             fill: { patternType: 'solid', fgColor: { rgb: 'FFFF00' } },
             font: { bold: true },
@@ -1989,6 +5156,8 @@ function App() {
       Statement: row.statement || '',
       'Source Column': row.column || '',
       'Source Line Item': row.sourceLine || '',
+      Unit: sopMetricDefinitions.get(row.metric)?.unit || '',
+      'Expected Sign': sopMetricDefinitions.get(row.metric)?.expectedSign || '',
     }));
     const sopSheet = XLSX.utils.json_to_sheet(
       sopSheetRows.length ? sopSheetRows : [{ Metric: 'No SOP metrics available', 'Latest Quarter': '-' }],
@@ -1999,6 +5168,8 @@ function App() {
       { wch: 24 },
       { wch: 24 },
       { wch: 28 },
+      { wch: 14 },
+      { wch: 14 },
     ];
     sopSheet['!cols'].forEach((_, idx) => {
       const cellAddress = XLSX.utils.encode_cell({ c: idx, r: 0 });
@@ -2009,11 +5180,66 @@ function App() {
         };
       }
     });
+    const identityOrigin = (sopSheetRows.length || 1) + 2;
+    XLSX.utils.sheet_add_aoa(sopSheet, [
+      ['Identity Check', 'Result', 'Left Side', 'Right Side', 'Difference'],
+      ...sopIdentityResults.map((result) => [
+        result.label,
+        result.status === 'missing' ? `Not evaluated (missing ${result.missing.join(', ')})`
+          : result.status === 'pass' ? 'Pass' : 'Fail',
+        result.left ?? '',
+        result.right ?? '',
+        result.difference ?? '',
+      ]),
+    ], { origin: { r: identityOrigin, c: 0 } });
+    sopSheet['!cols'].forEach((_, idx) => {
+      const cellAddress = XLSX.utils.encode_cell({ c: idx, r: identityOrigin });
+      if (sopSheet[cellAddress]) {
+        sopSheet[cellAddress].s = {
+          fill: { patternType: 'solid', fgColor: { rgb: 'FFFF00' } },
+          font: { bold: true },
+        };
+      }
+    });
     XLSX.utils.book_append_sheet(workbook, sopSheet, 'SOP_Summary');
 
-  const suggestedName = pdfName
-    ? `${pdfName.replace(/\.pdf$/i, '')}_verified.xlsx`
-    : 'verified_line_items.xlsx';
+    const auditSheetRows = auditLog.map((entry) => ({
+      Timestamp: new Date(entry.timestamp).toISOString(),
+      Analyst: entry.user || '',
+      Action: entry.action || 'Edit',
+      Statement: entry.statement || '',
+      'Line Item': entry.lineItem || '',
+      Column: entry.column || '',
+      'Original Value': entry.original === null ? '(not extracted)' : entry.original,
+      'Previous Value': entry.previous ?? '',
+      'New Value': entry.current ?? '',
+    }));
+    const auditSheet = XLSX.utils.json_to_sheet(
+      auditSheetRows.length ? auditSheetRows : [{ Timestamp: '', Analyst: 'No value changes recorded' }],
+    );
+    auditSheet['!cols'] = [
+      { wch: 24 },
+      { wch: 20 },
+      { wch: 18 },
+      { wch: 24 },
+      { wch: 35 },
+      { wch: 18 },
+      { wch: 18 },
+      { wch: 18 },
+      { wch: 18 },
+    ];
+    auditSheet['!cols'].forEach((_, idx) => {
+      const cellAddress = XLSX.utils.encode_cell({ c: idx, r: 0 });
+      if (auditSheet[cellAddress]) {
+        auditSheet[cellAddress].s = {
+          fill: { patternType: 'solid', fgColor: { rgb: 'FFFF00' } },
+          font: { bold: true },
+        };
+      }
+    });
+    XLSX.utils.book_append_sheet(workbook, auditSheet, 'Audit Log');
+
+  const suggestedName = buildExportFileName(reportMetadata, pdfName);
 
   XLSX.writeFile(workbook, suggestedName, { cellStyles: true });
 };
@@ -2025,7 +5251,7 @@ function App() {
     {
       title: 'Upload PDF',
       description: 'Select a quarterly Group/Consolidated report to begin.',
-      status: hasPdf ? 'Complete' : loading ? 'In Progress' : 'Pending',
+      status: hasPdf ? 'Complete' : uploadQueue.length ? 'In Progress' : 'Pending',
     },
     {
       title: 'Review Statements',
@@ -2042,16 +5268,72 @@ function App() {
     },
   ];
 
+  const hasWorkspace = hasPdf || lineItems.length > 0;
+  const reportMetadataIssues = validateReportMetadata(reportMetadata);
   const tabAvailability = {
     overview: true,
-    statements: hasPdf,
+    statements: hasWorkspace,
     sop: lineItems.length > 0,
-    exports: hasPdf,
+    compare: lineItems.length > 0,
+    exports: hasWorkspace,
+    companies: true,
+    history: history.entries.length > 0,
   };
 
+  const renderReportMetadataField = (field, label, options, inputProps = {}) => (
+    <label>
+      <span>{label}</span>
+      {options ? (
+        <select
+          value={reportMetadata[field]}
+          onChange={(event) => setReportMetadata((prev) => ({ ...prev, [field]: event.target.value }))}
+        >
+          <option value="">Select...</option>
+          {options.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type="text"
+          value={reportMetadata[field]}
+          onChange={(event) => setReportMetadata((prev) => ({ ...prev, [field]: event.target.value }))}
+          {...inputProps}
+        />
+      )}
+    </label>
+  );
+
   const renderOverviewTab = () => (
     <div className="tab-panel-body overview-tab">
       <div className="overview-tab-grid">
+        {lineItems.length > 0 && (
+          <div className="overview-card report-details-card">
+            <h3>Report Details</h3>
+            <div className="report-period-fields">
+              {renderReportMetadataField('company', 'Company', null, { placeholder: 'e.g. Acme Holdings PLC' })}
+              {renderReportMetadataField('ticker', 'Ticker', null, {
+                placeholder: 'e.g. ACME.N0000',
+                onChange: (event) => setReportMetadata((prev) => ({ ...prev, ticker: event.target.value.toUpperCase() })),
+              })}
+              {renderReportMetadataField('fiscalPeriod', 'Fiscal period', null, { placeholder: 'e.g. FY2025 Q2' })}
+              {renderReportMetadataField('periodEnd', 'Period end', null, { type: 'date' })}
+              {renderReportMetadataField('periodType', 'Period type', REPORT_PERIOD_TYPES)}
+              {renderReportMetadataField('currency', 'Currency', null, {
+                placeholder: 'e.g. LKR',
+                maxLength: 3,
+                onChange: (event) => setReportMetadata((prev) => ({ ...prev, currency: event.target.value.toUpperCase() })),
+              })}
+              {renderReportMetadataField('unitScale', 'Unit scale', REPORT_UNIT_SCALES)}
+              {renderReportMetadataField('scope', 'Basis', REPORT_SCOPES)}
+            </div>
+            <p className="analyst-hint">
+              {reportMetadataIssues.length
+                ? `Required before finalising: ${reportMetadataIssues.join(', ')}.`
+                : 'These details are written to the cover sheet of the export.'}
+            </p>
+          </div>
+        )}
         <div className="overview-card">
           <h3>Workflow Overview</h3>
           <ol>
@@ -2080,6 +5362,14 @@ function App() {
               <span className="metric-label">Pending</span>
               <span className="metric-value">{pendingStatements}</span>
             </div>
+            <div>
+              <span className="metric-label">Edited Cells</span>
+              <span className="metric-value">{editedCellCount}</span>
+            </div>
+            <div>
+              <span className="metric-label">Cross-foot Issues</span>
+              <span className="metric-value">{crossFootFailureCount}</span>
+            </div>
           </div>
           <div className="progress-bar">
             <div
@@ -2093,6 +5383,63 @@ function App() {
               : 'Upload a PDF to begin the workflow.'}
           </p>
         </div>
+        <div className="overview-card analyst-card">
+          <h3>Analyst</h3>
+          <label className="analyst-field">
+            <span>Your name</span>
+            <input
+              type="text"
+              value={analystName}
+              onChange={(event) => setAnalystName(event.target.value)}
+              placeholder="e.g. Jane Perera"
+            />
+          </label>
+          <p className="analyst-hint">
+            Every value change is recorded in the audit log against this name. {auditLog.length} change{auditLog.length === 1 ? '' : 's'} logged so far.
+          </p>
+        </div>
+        <div className="overview-card extraction-settings-card">
+          <h3>Extraction</h3>
+          <div className="extraction-settings-fields">
+            <label className="analyst-field">
+              <span>Timeout (minutes)</span>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={extractionSettings.timeoutMinutes}
+                onChange={(event) => {
+                  const timeoutMinutes = Number(event.target.value);
+                  if (Number.isFinite(timeoutMinutes) && timeoutMinutes > 0) {
+                    setExtractionSettings((prev) => ({ ...prev, timeoutMinutes }));
+                  }
+                }}
+              />
+            </label>
+            <label className="analyst-field">
+              <span>Automatic retries</span>
+              <input
+                type="number"
+                min="0"
+                max={MAX_EXTRACTION_RETRIES}
+                step="1"
+                value={extractionSettings.maxRetries}
+                onChange={(event) => {
+                  const maxRetries = Number(event.target.value);
+                  if (Number.isInteger(maxRetries) && maxRetries >= 0) {
+                    setExtractionSettings((prev) => ({
+                      ...prev,
+                      maxRetries: Math.min(maxRetries, MAX_EXTRACTION_RETRIES),
+                    }));
+                  }
+                }}
+              />
+            </label>
+          </div>
+          <p className="analyst-hint">
+            Network errors and server faults are retried with increasing delays. Extractions still running after the timeout are cancelled.
+          </p>
+        </div>
       </div>
     </div>
   );
@@ -2106,12 +5453,32 @@ function App() {
     );
     }
 
-    const multiplierApplied = Boolean(statementMultiplierApplied?.[activeStatement]);
+    const activeUnitEntry = unitSettings.statements[activeStatement] || null;
+    const unitsConverted = Boolean(activeUnitEntry?.current);
+    const reportUnitLabel = describeOption(REPORT_UNIT_SCALES, reportMetadata.unitScale);
+    const activeCrossFoot = crossFootResults[activeStatement] || { byCell: new Map(), checked: 0, failures: 0 };
+    const confirmingReview = reviewOverrideStatement === activeStatement;
     const bulkMetricTrimmed = typeof bulkClassificationMetric === 'string'
       ? bulkClassificationMetric.trim()
       : '';
     const canApplyBulkClassification = selectedRowCount > 0 && Boolean(bulkMetricTrimmed);
     const hasBulkSelection = selectedRowCount > 0;
+    const showReextraction = Boolean(reextraction) && reextraction.documentId === activeDocumentId;
+    const priorStatement = activeStatement ? priorStatementLookup.get(toSheetKey(activeStatement)) : null;
+    const priorColumn = priorStatement
+      ? activePriorPeriod.columns[priorStatement.name] || priorStatement.columns[0] || ''
+      : '';
+    const latestColumnHint = normaliseKey(readStatementEntry(effectiveLatestColumns, activeStatement));
+    const currentComparisonColumn = statementValueColumns.find((column) => normaliseKey(column) === latestColumnHint)
+      || statementValueColumns[0]
+      || '';
+    const reextractionProgress = reextraction?.status === 'running'
+      ? describeUploadProgress(reextraction.progress, 0)
+      : null;
+    const reextractionCounts = (reextractionMerge?.changes || []).reduce((acc, change) => ({
+      ...acc,
+      [change.type]: (acc[change.type] || 0) + 1,
+    }), {});
 
     return (
       <div className="tab-panel-body statements-tab">
@@ -2196,6 +5563,7 @@ function App() {
                 {statements.map((statement) => {
                   const totalForStatement = statementTotalsMap[statement] || 0;
                   const statementReviewed = !!verifiedStatements[statement];
+                  const statementFailures = crossFootResults[statement]?.failures || 0;
                   return (
                     <button
                       key={statement}
@@ -2207,6 +5575,14 @@ function App() {
                       <span className="statement-tab-count">
                         {totalForStatement}{statementReviewed ? ' \u2713' : ''}
                       </span>
+                      {statementFailures > 0 && (
+                        <span
+                          className="statement-tab-issues"
+                          title={`${statementFailures} total${statementFailures === 1 ? '' : 's'} not footing`}
+                        >
+                          !{statementFailures}
+                        </span>
+                      )}
                     </button>
                   );
                 })}
@@ -2229,7 +5605,8 @@ function App() {
                     onClick={handleStatementVerify}
                     disabled={activeStatementVerified}
                   >
-                    {activeStatementVerified ? 'Statement Reviewed' : 'Mark Statement Reviewed'}
+                    {activeStatementVerified ? 'Statement Reviewed'
+                      : confirmingReview ? 'Mark Reviewed Anyway' : 'Mark Statement Reviewed'}
                   </button>
                   {activeStatementVerified && <span className="statement-status-badge">Reviewed</span>}
                 </div>
@@ -2247,24 +5624,107 @@ function App() {
               <button
                 type="button"
                 className="secondary-button"
-                onClick={handleStatementAddZeros}
-                disabled={!statementValueColumns.length}
-              >
-                {multiplierApplied ? 'x1,000 Applied' : 'Apply x1,000 to Values'}
-              </button>
-              <button
-                type="button"
-                className="secondary-button"
                 onClick={handleStatementMakePositive}
                 disabled={!statementValueColumns.length}
               >
                 Convert Negatives to Positive
               </button>
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={openReextraction}
+                disabled={!hasPdf || Boolean(reextraction)}
+              >
+                Re-extract This Statement
+              </button>
             </div>
             <span className="statement-tools-hint">
-              These actions affect only the active statement.
-              {multiplierApplied ? ' The x1,000 multiplier has already been applied.' : ''}
+              These actions affect only the active statement. Per-share and percentage values are never rescaled.
             </span>
+            <div className="statement-tools-units">
+              <label>
+                <span>Declared unit</span>
+                <select
+                  value={activeUnitEntry?.declared || ''}
+                  onChange={(event) => handleStatementUnitChange('', event.target.value)}
+                  disabled={unitsConverted}
+                >
+                  <option value="">{reportUnitLabel ? `Report default (${reportUnitLabel})` : 'Not declared'}</option>
+                  {REPORT_UNIT_SCALES.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                <span>Convert to</span>
+                <select
+                  value={unitSettings.target}
+                  onChange={(event) => {
+                    const target = event.target.value;
+                    recordHistory('Changed target unit', 'units:target');
+                    setUnitSettings((prev) => ({ ...prev, target }));
+                  }}
+                >
+                  {REPORT_UNIT_SCALES.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={handleStatementConvertUnits}
+                disabled={!statementValueColumns.length || activeUnitEntry?.current === unitSettings.target}
+              >
+                Convert Values
+              </button>
+              <button
+                type="button"
+                className="text-button"
+                onClick={handleStatementRestoreUnits}
+                disabled={!unitsConverted}
+              >
+                Restore Declared Units
+              </button>
+              {unitsConverted && (
+                <span className="units-summary">
+                  Values shown in {describeUnit(activeUnitEntry.current, reportMetadata.currency)}
+                </span>
+              )}
+            </div>
+            <div className="statement-tools-crossfoot">
+              <span className={`crossfoot-summary${activeCrossFoot.failures ? ' failing' : ''}`}>
+                {activeCrossFoot.checked
+                  ? `Cross-footing: ${activeCrossFoot.checked - activeCrossFoot.failures} of ${activeCrossFoot.checked} totals foot`
+                  : 'Cross-footing: no total rows detected'}
+              </span>
+              <label>
+                <span>Rounding tolerance</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={crossFootSettings.tolerance}
+                  onChange={(event) => {
+                    const tolerance = Number(event.target.value);
+                    setCrossFootSettings((prev) => ({
+                      ...prev,
+                      tolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 0,
+                    }));
+                  }}
+                />
+              </label>
+              <label>
+                <span>On mismatch</span>
+                <select
+                  value={crossFootSettings.enforcement}
+                  onChange={(event) => setCrossFootSettings((prev) => ({ ...prev, enforcement: event.target.value }))}
+                >
+                  <option value="warn">Warn before review</option>
+                  <option value="block">Block review</option>
+                </select>
+              </label>
+            </div>
             <div className="statement-tools-bulk">
               <div className="statement-tools-bulk-header">
                 <span>Bulk classify selected rows</span>
@@ -2303,7 +5763,103 @@ function App() {
             </div>
           </div>
         )}
-        <div className="statement-table panel-card">
+        {showReextraction && (
+          <div className="reextract-card panel-card">
+            <div className="sop-card-header">
+              <div>
+                <h3>Re-extract {reextraction.statement}</h3>
+                <p>
+                  Only this statement is replaced. Edits and classifications on other statements are untouched, and classifications carry over where line item labels match.
+                </p>
+              </div>
+            </div>
+            {reextraction.status !== 'review' && (
+              <div className="reextract-controls">
+                <label>
+                  <span>Pages</span>
+                  <input
+                    type="text"
+                    value={reextraction.pages}
+                    onChange={(event) => setReextraction((prev) => ({ ...prev, pages: event.target.value, error: '' }))}
+                    placeholder="e.g. 12-14"
+                    disabled={reextraction.status === 'running'}
+                  />
+                </label>
+                {reextraction.status === 'running' ? (
+                  <span className="reextract-progress">
+                    {reextractionProgress.message}
+                    {reextractionProgress.percent !== null && ` ${reextractionProgress.percent}%`}
+                  </span>
+                ) : (
+                  <button type="button" className="finalize-button" onClick={handleReextractionRun}>
+                    Run Re-extraction
+                  </button>
+                )}
+                <button type="button" className="text-button" onClick={handleReextractionCancel}>
+                  Cancel
+                </button>
+              </div>
+            )}
+            {reextraction.error && <p className="reextract-error">{reextraction.error}</p>}
+            {reextraction.status === 'review' && reextractionMerge && (
+              <>
+                <p className="reextract-summary">
+                  {reextractionCounts.changed || 0} changed cell{reextractionCounts.changed === 1 ? '' : 's'}
+                  {' · '}
+                  {reextractionCounts.added || 0} new row{reextractionCounts.added === 1 ? '' : 's'}
+                  {' · '}
+                  {reextractionCounts.removed || 0} row{reextractionCounts.removed === 1 ? '' : 's'} removed
+                  {reextractionMerge.keptCells.length > 0 && (
+                    ` · ${reextractionMerge.keptCells.length} edited cell${reextractionMerge.keptCells.length === 1 ? '' : 's'} kept`
+                  )}
+                  {reextractionMerge.keptRows.length > 0 && (
+                    ` · ${reextractionMerge.keptRows.length} manual row${reextractionMerge.keptRows.length === 1 ? '' : 's'} kept (delete ${reextractionMerge.keptRows.length === 1 ? 'it' : 'them'} from the statement to remove)`
+                  )}
+                </p>
+                {reextractionMerge.changes.length ? (
+                  <div className="table-wrapper">
+                    <table className="reextract-diff">
+                      <thead>
+                        <tr>
+                          <th>Line Item</th>
+                          <th>Column</th>
+                          <th>Current</th>
+                          <th>Re-extracted</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {reextractionMerge.changes.map((change, index) => (
+                          <tr key={`${change.row.rowId}-${change.column || change.type}-${index}`} className={change.type}>
+                            <td>{change.row.lineItem || change.row['Line Item']}</td>
+                            <td>{change.type === 'changed' ? change.column : (change.type === 'added' ? 'New row' : 'Row removed')}</td>
+                            <td>{change.type === 'changed' ? change.before || '-' : ''}</td>
+                            <td>{change.type === 'changed' ? change.after || '-' : ''}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <p className="reextract-summary">The re-extracted rows match the current values.</p>
+                )}
+                <div className="reextract-controls">
+                  <button
+                    type="button"
+                    className="finalize-button"
+                    onClick={handleReextractionAccept}
+                    disabled={!reextractionMerge.changes.length}
+                  >
+                    Accept Changes
+                  </button>
+                  <button type="button" className="secondary-button" onClick={handleReextractionCancel}>
+                    Discard
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+        <div className="statement-table panel-card" data-history-scope>
           {visibleItems.length ? (
             <div className="table-wrapper">
               <table>
@@ -2320,21 +5876,70 @@ function App() {
                     </th>
                     <th>Line Item</th>
                     <th className="metric-column-header">SOP Metric</th>
-                    {statementValueColumns.map((column) => (
-                      <th key={column}>
-                        <div className="column-header">
-                          <span>{column}</span>
-                          <button
-                            type="button"
-                            className="column-remove-button"
-                            onClick={() => handleRemoveColumn(column)}
-                            title={`Remove column ${column}`}
-                          >
-                            Remove
-                          </button>
-                        </div>
-                      </th>
-                    ))}
+                    {statementValueColumns.map((column) => {
+                      const columnUnit = describeUnit(
+                        resolveColumnScale(activeUnitEntry, column, reportMetadata.unitScale),
+                        reportMetadata.currency,
+                      );
+                      return (
+                        <th key={column}>
+                          <div className="column-header">
+                            <span>
+                              {column}
+                              {columnUnit && <small className="column-unit-badge">{columnUnit}</small>}
+                            </span>
+                            {!unitsConverted && (
+                              <select
+                                className="column-unit-select"
+                                value={activeUnitEntry?.columns?.[column] || ''}
+                                onChange={(event) => handleStatementUnitChange(column, event.target.value)}
+                                title={`Declared unit of ${column}`}
+                              >
+                                <option value="">Statement unit</option>
+                                {REPORT_UNIT_SCALES.map((option) => (
+                                  <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                              </select>
+                            )}
+                            <button
+                              type="button"
+                              className="column-remove-button"
+                              onClick={() => handleRemoveColumn(column)}
+                              title={`Remove column ${column}`}
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        </th>
+                      );
+                    })}
+                    {priorStatement && (
+                      <>
+                        <th className="prior-column-header">
+                          <div className="column-header">
+                            <span>Prior Period</span>
+                            <select
+                              value={priorColumn}
+                              onChange={(event) => {
+                                const column = event.target.value;
+                                setPriorPeriod((prev) => ({
+                                  ...prev,
+                                  columns: { ...prev.columns, [priorStatement.name]: column },
+                                }));
+                              }}
+                              title={`Column from ${activePriorPeriod.fileName}`}
+                            >
+                              {priorStatement.columns.map((column) => (
+                                <option key={column} value={column}>{column}</option>
+                              ))}
+                            </select>
+                          </div>
+                        </th>
+                        <th className="prior-column-header" title={`Change of ${currentComparisonColumn} against the prior period`}>
+                          Change
+                        </th>
+                      </>
+                    )}
                     <th className="actions-header">Actions</th>
                   </tr>
                 </thead>
@@ -2342,8 +5947,16 @@ function App() {
                   {visibleItems.map((row) => {
                     const isSelected = selectedRowIds.has(row.rowId);
                     const rowLabel = row.lineItem || row['Line Item'] || 'Row';
+                    const rowLocation = readRowLocation(row);
                     return (
-                      <tr key={row.rowId} className={isSelected ? 'selected-row' : ''}>
+                      <tr
+                        key={row.rowId}
+                        data-row-id={row.rowId}
+                        className={[
+                          isSelected ? 'selected-row' : '',
+                          focusedCell?.rowId === row.rowId ? 'focused-row' : '',
+                        ].filter(Boolean).join(' ') || undefined}
+                      >
                         <td className="select-cell">
                           <input
                             type="checkbox"
@@ -2352,7 +5965,19 @@ function App() {
                             aria-label={`Select ${rowLabel}`}
                           />
                         </td>
-                        <td>{rowLabel}</td>
+                        <td>
+                          {rowLocation ? (
+                            <button
+                              type="button"
+                              className="row-locate-button"
+                              onClick={() => handleLocateRow(row)}
+                              title={`Show in the PDF (page ${rowLocation.page})`}
+                            >
+                              {rowLabel}
+                              <span className="row-locate-page">p.{rowLocation.page}</span>
+                            </button>
+                          ) : rowLabel}
+                        </td>
                         <td className="classification-cell">
                           <select
                             value={row.classification ?? ''}
@@ -2364,18 +5989,54 @@ function App() {
                             ))}
                           </select>
                         </td>
-                        {statementValueColumns.map((column) => (
-                          <td key={column} className="value-cell">
-                            <input
-                              type="text"
-                              value={row[column] ?? ''}
-                              onChange={(event) => {
-                                const { value } = event.target;
-                                handleValueChange(row.rowId, column, value);
-                              }}
-                            />
-                          </td>
-                        ))}
+                        {statementValueColumns.map((column) => {
+                          const cellKey = buildCellKey(row.rowId, column);
+                          const hasOriginal = Object.prototype.hasOwnProperty.call(originalValues, cellKey);
+                          const originalText = hasOriginal ? originalValues[cellKey] : '';
+                          const currentText = toCellText(row[column]);
+                          const isEdited = hasOriginal && originalText !== currentText;
+                          const lastChange = latestAuditByCell.get(cellKey);
+                          const changeTitle = isEdited
+                            ? `${originalText || '(blank)'} \u2192 ${currentText || '(blank)'}${lastChange
+                              ? `, ${lastChange.user}, ${new Date(lastChange.timestamp).toLocaleString()}`
+                              : ''}`
+                            : '';
+                          const crossFoot = activeCrossFoot.byCell.get(cellKey);
+                          const crossFootTitle = crossFoot
+                            ? `${crossFoot.passed ? 'Foots' : 'Does not foot'}: sum of ${crossFoot.componentCount} row${crossFoot.componentCount === 1 ? '' : 's'} above is ${formatNumericValue(crossFoot.expected)}${crossFoot.passed ? '' : ` (difference ${formatNumericValue(crossFoot.difference)})`}`
+                            : '';
+                          const crossFootClass = crossFoot ? ` crossfoot-${crossFoot.passed ? 'pass' : 'fail'}` : '';
+                          return (
+                            <td
+                              key={column}
+                              className={`value-cell${isEdited ? ' edited' : ''}${crossFootClass}${focusedCell?.rowId === row.rowId && focusedCell.column === column ? ' focused-cell' : ''}`}
+                              title={[changeTitle, crossFootTitle].filter(Boolean).join('\n') || undefined}
+                            >
+                              <input
+                                type="text"
+                                value={row[column] ?? ''}
+                                onChange={(event) => {
+                                  const { value } = event.target;
+                                  handleValueChange(row.rowId, column, value);
+                                }}
+                              />
+                            </td>
+                          );
+                        })}
+                        {priorStatement && (() => {
+                          const priorRow = priorStatement.rowsByLabel.get(normaliseKey(rowLabel));
+                          const priorValue = priorRow ? priorRow.values[priorColumn] : '';
+                          const change = priorRow ? computePercentChange(row[currentComparisonColumn], priorValue) : null;
+                          const isOutlier = change !== null && Math.abs(change) >= priorOutlierPercent;
+                          return (
+                            <>
+                              <td className="prior-value-cell">{priorRow ? priorValue || '-' : 'Not in prior'}</td>
+                              <td className={`prior-change-cell${isOutlier ? ' prior-outlier' : ''}`}>
+                                {formatPercentChange(change)}
+                              </td>
+                            </>
+                          );
+                        })()}
                         <td className="row-actions">
                           <button
                             type="button"
@@ -2399,6 +6060,97 @@ function App() {
     );
   };
 
+  const renderResolution = (resolution) => {
+    if (!resolution) {
+      return <p className="sop-derivation-note">No row with this label was found.</p>;
+    }
+    return (
+      <div className="sop-derivation-resolution">
+        <span>Row: {resolution.lineItemName} · {resolution.statementName}</span>
+        <span>
+          {resolution.columnName
+            ? `Column: ${resolution.columnName} (${resolution.origin}) = ${toCellText(resolution.displayValue)}`
+            : 'No column on this row holds a number'}
+        </span>
+        <button
+          type="button"
+          className="text-button"
+          onClick={() => handleShowRowInStatements(resolution.row.rowId, resolution.columnName)}
+        >
+          Show row
+        </button>
+        {resolution.skipped.length > 0 && (
+          <ul className="sop-derivation-skipped">
+            {resolution.skipped.map((skip, index) => (
+              <li key={`${skip.column}-${index}`}>
+                Skipped {skip.column || '(blank)'} ({skip.origin}): {skip.reason}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const renderDerivationNode = (node, derivation, path = 'root') => {
+    const value = derivation.values?.get(node);
+    let label = node.type;
+    let children = [];
+    if (node.type === 'number') {
+      label = 'Constant';
+    } else if (node.type === 'metric') {
+      label = `{${node.name}}`;
+    } else if (node.type === 'reference') {
+      label = formatFormulaReference(node);
+    } else if (node.type === 'negate') {
+      label = 'Negate';
+      children = [node.operand];
+    } else if (node.type === 'binary') {
+      label = FORMULA_OPERATOR_LABELS[node.operator] || node.operator;
+      children = [node.left, node.right];
+    } else if (node.type === 'call') {
+      label = node.name;
+      children = node.args;
+    }
+    return (
+      <li key={path}>
+        <div className="sop-derivation-node">
+          <span className="sop-derivation-label">{label}</span>
+          <span className="sop-derivation-value">
+            {typeof value === 'number' ? formatNumericValue(value) : 'not evaluated'}
+          </span>
+        </div>
+        {node.type === 'reference' && derivation.resolutions?.has(node) && renderResolution(derivation.resolutions.get(node))}
+        {children.length > 0 && (
+          <ul className="sop-derivation-tree">
+            {children.map((child, index) => renderDerivationNode(child, derivation, `${path}-${index}`))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const renderFormulaEditor = (formula, onChange, issue = '') => {
+    const syntaxError = parseFormula(formula).error;
+    const message = syntaxError?.message || issue;
+    return (
+      <div className="sop-formula-editor">
+        <textarea
+          value={formula}
+          onChange={(event) => onChange(event.target.value)}
+          rows={2}
+          spellCheck={false}
+          aria-invalid={Boolean(message)}
+          placeholder={'([Cash Flows]."Cash generated from operations" - [Cash Flows]."Capital expenditure") / {Shares outstanding}'}
+        />
+        {message && <p className="sop-formula-error">{message}</p>}
+        <p className="sop-formula-help">
+          {'Use [Statement]."Line item"@"Column" for a statement value (the column is optional), {Metric} for another SOP metric, + - * / with parentheses, comparisons, and SUM, ABS, MIN, MAX or IF(condition, then, else).'}
+        </p>
+      </div>
+    );
+  };
+
   const renderSopTab = () => {
     if (!lineItems.length) {
       return (
@@ -2408,19 +6160,278 @@ function App() {
       );
     }
 
+    const editableTemplate = customSopTemplates.find((template) => template.id === sopTemplate.id);
+    const showPriorSop = priorSopByMetric.size > 0;
+    const sopColumnCount = showPriorSop ? 6 : 4;
+    const cyclicMetricNames = new Set(manualSopEvaluation.cycles.flat());
+
     return (
       <div className="tab-panel-body sop-tab">
+        <div className="panel-card sop-catalogue-card">
+          <div className="sop-card-header">
+            <h3>Metric Catalogue</h3>
+            <p>Choose the metric template for this report. The SOP summary, the SOP Metric dropdown and the export follow its metric list and order.</p>
+          </div>
+          <div className="sop-catalogue-controls">
+            <label>
+              <span>Template for this report</span>
+              <select
+                value={sopTemplate.id}
+                onChange={(event) => handleSelectSopTemplate(event.target.value)}
+              >
+                {availableSopTemplates.map((template) => (
+                  <option key={template.id} value={template.id}>
+                    {template.name} ({template.metrics.length} metrics)
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="sop-catalogue-actions">
+              {editableTemplate && (
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={() => openCatalogueDraft(editableTemplate)}
+                  disabled={Boolean(catalogueDraft)}
+                >
+                  Edit Template
+                </button>
+              )}
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => openCatalogueDraft(sopTemplate, { copy: true })}
+                disabled={Boolean(catalogueDraft)}
+              >
+                Duplicate
+              </button>
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => openCatalogueDraft(null)}
+                disabled={Boolean(catalogueDraft)}
+              >
+                New Template
+              </button>
+              {editableTemplate && (
+                <button
+                  type="button"
+                  className="text-button"
+                  onClick={() => handleCatalogueDelete(editableTemplate.id)}
+                >
+                  Delete Template
+                </button>
+              )}
+            </div>
+          </div>
+          {!editableTemplate && !catalogueDraft && (
+            <p className="sop-catalogue-hint">
+              Built-in templates are read-only. Duplicate one to customise its metrics.
+            </p>
+          )}
+          {catalogueDraft && (
+            <div className="sop-catalogue-editor">
+              <label className="sop-catalogue-name">
+                <span>Template name</span>
+                <input
+                  type="text"
+                  value={catalogueDraft.name}
+                  onChange={(event) => setCatalogueDraft((prev) => ({ ...prev, name: event.target.value }))}
+                  placeholder="e.g. Bank - quarterly"
+                />
+              </label>
+              <table className="sop-catalogue-table">
+                <thead>
+                  <tr>
+                    <th>Metric</th>
+                    <th>Unit</th>
+                    <th>Expected Sign</th>
+                    <th>Description</th>
+                    <th className="sop-actions-column">Order</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {catalogueDraft.metrics.map((metric, index) => (
+                    <tr key={metric.key}>
+                      <td>
+                        <input
+                          type="text"
+                          value={metric.name}
+                          onChange={(event) => updateCatalogueDraftMetric(metric.key, 'name', event.target.value)}
+                          placeholder="Metric name"
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          value={metric.unit}
+                          onChange={(event) => updateCatalogueDraftMetric(metric.key, 'unit', event.target.value)}
+                          placeholder="currency"
+                        />
+                      </td>
+                      <td>
+                        <select
+                          value={metric.expectedSign}
+                          onChange={(event) => updateCatalogueDraftMetric(metric.key, 'expectedSign', event.target.value)}
+                        >
+                          {SOP_EXPECTED_SIGNS.map((sign) => (
+                            <option key={sign.value} value={sign.value}>{sign.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          value={metric.description}
+                          onChange={(event) => updateCatalogueDraftMetric(metric.key, 'description', event.target.value)}
+                          placeholder="Optional guidance for reviewers"
+                        />
+                      </td>
+                      <td className="sop-catalogue-order">
+                        <button
+                          type="button"
+                          className="text-button"
+                          onClick={() => moveCatalogueDraftMetric(metric.key, -1)}
+                          disabled={index === 0}
+                          aria-label={`Move ${metric.name || 'metric'} up`}
+                        >
+                          &#8593;
+                        </button>
+                        <button
+                          type="button"
+                          className="text-button"
+                          onClick={() => moveCatalogueDraftMetric(metric.key, 1)}
+                          disabled={index === catalogueDraft.metrics.length - 1}
+                          aria-label={`Move ${metric.name || 'metric'} down`}
+                        >
+                          &#8595;
+                        </button>
+                        <button
+                          type="button"
+                          className="text-button"
+                          onClick={() => removeCatalogueDraftMetric(metric.key)}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="sop-catalogue-editor-actions">
+                <button type="button" className="text-button" onClick={addCatalogueDraftMetric}>
+                  + Add Metric
+                </button>
+                <div>
+                  <button type="button" className="secondary-button" onClick={() => setCatalogueDraft(null)}>
+                    Cancel
+                  </button>
+                  <button type="button" className="finalize-button" onClick={handleCatalogueSave}>
+                    Save Template
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+        <div className="panel-card prior-period-card">
+          <div className="sop-card-header">
+            <h3>Prior Period</h3>
+            <p>
+              Load last quarter&apos;s verified workbook to show its values next to each SOP metric and statement row, with the percentage change.
+            </p>
+          </div>
+          <div className="prior-period-controls">
+            <label className="secondary-button compare-source-button">
+              {activePriorPeriod ? 'Replace Workbook' : 'Load Prior Workbook'}
+              <input
+                type="file"
+                accept=".xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handlePriorWorkbookChange}
+              />
+            </label>
+            <label className="prior-period-threshold">
+              <span>Highlight changes above (%)</span>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={priorOutlierPercent}
+                onChange={(event) => {
+                  const percent = Number(event.target.value);
+                  setPriorOutlierPercent(Number.isFinite(percent) && percent >= 0 ? percent : 0);
+                }}
+              />
+            </label>
+            {activePriorPeriod && (
+              <>
+                <span className="prior-period-file">{activePriorPeriod.fileName}</span>
+                <button type="button" className="text-button" onClick={() => setPriorPeriod(null)}>
+                  Clear
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+        {statements.length > 0 && (
+          <div className="panel-card latest-columns-card">
+            <div className="sop-card-header">
+              <h3>Latest Period Columns</h3>
+              <p>
+                The column each statement&apos;s SOP values are read from. Choosing one here overrides the extraction&apos;s guess and recalculates every metric.
+              </p>
+            </div>
+            <div className="latest-columns-grid">
+              {statements.map((statementName) => {
+                const serverColumn = readStatementEntry(sopMetadata?.latestColumns, statementName);
+                return (
+                  <label key={statementName}>
+                    <span>{statementName}</span>
+                    <select
+                      value={latestColumnOverrides[statementName] || ''}
+                      onChange={(event) => handleLatestColumnChange(statementName, event.target.value)}
+                    >
+                      <option value="">
+                        {serverColumn ? `From extraction (${serverColumn})` : 'From extraction (not set)'}
+                      </option>
+                      {(statementPeriodColumns[statementName] || []).map((column) => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </select>
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        )}
         <div className="panel-card sop-summary-card">
           <div className="sop-card-header">
             <h3>SOP Summary</h3>
             <p>Review or edit the derived metrics for the Statement of Performance, and open the breakdown to inspect linked rows or add manual adjustments.</p>
           </div>
+          {manualSopEvaluation.cycles.length > 0 && (
+            <div className="sop-cycle-alert" role="alert">
+              <strong>Circular metric references.</strong>
+              {' These metrics are not calculated until the loop is broken:'}
+              <ul>
+                {manualSopEvaluation.cycles.map((cycle) => (
+                  <li key={cycle.join('|')}>{cycle.join(' → ')}</li>
+                ))}
+              </ul>
+            </div>
+          )}
           <div className="sop-summary-table-wrapper">
             <table className="sop-summary-table">
               <thead>
                 <tr>
                   <th>Metric</th>
                   <th>Latest Quarter</th>
+                  {showPriorSop && (
+                    <>
+                      <th>Prior Quarter</th>
+                      <th>Change</th>
+                    </>
+                  )}
                   <th>Source</th>
                   <th className="sop-actions-column">Actions</th>
                 </tr>
@@ -2431,30 +6442,79 @@ function App() {
                     .map((part) => (part || '').trim())
                     .filter((part) => part);
                   const sourceText = sourceParts.length ? sourceParts.join(' - ') : '-';
+                  const sourceRow = row.manual ? null : findRowByLabel(row.statement, row.sourceLine);
+                  const sourceLocation = readRowLocation(sourceRow);
                   const isEditing = editingSopMetric === row.metric;
                   const isExpanded = Boolean(expandedSopMetrics?.[row.metric]);
                   const linkedRows = lineItemBreakdown[row.metric] || [];
                   const manualEntriesForMetric = manualSopEntries[row.metric] || [];
+                  const metricDerivations = manualSopEvaluation.derivations[row.metric] || [];
+                  const autoDerivation = row.manual ? null : autoSopEvaluation[row.metric];
+                  const autoRule = autoDerivation?.rule || resolveAggregationRule(sopAggregationRules[row.metric], linkedRows);
+                  const sourceResolution = isExpanded && autoRule.aggregation === 'latest' && !row.manual && row.statement && row.sourceLine
+                    ? lineItemResolver(row.statement, row.sourceLine, row.column)
+                    : null;
                   const breakdownDraft = breakdownDrafts[row.metric] || {
                     statement: '',
                     lineItem: '',
                     calculation: [],
                   };
+                  const draftFormulaMode = breakdownDraft.mode === 'formula';
+                  const metricDefinition = sopMetricDefinitions.get(row.metric);
+                  const signMismatch = Boolean(metricDefinition)
+                    && violatesExpectedSign(row.value, metricDefinition.expectedSign);
                   const metricSlug = (row.metric || 'metric').toString().replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase();
+                  const priorEntry = priorSopByMetric.get(normaliseKey(row.metric));
+                  const priorChange = priorEntry ? computePercentChange(row.value, priorEntry.value) : null;
+                  const priorOutlier = priorChange !== null && Math.abs(priorChange) >= priorOutlierPercent;
 
                   return (
                     <Fragment key={row.metric}>
                       <tr className={`sop-summary-row${row.manual ? ' manual' : ''}`}>
-                        <td>{row.metric}</td>
+                        <td title={metricDefinition?.description || undefined}>
+                          {row.metric}
+                          {metricDefinition?.unit && (
+                            <span className="sop-metric-unit">{metricDefinition.unit}</span>
+                          )}
+                        </td>
                         <td>
                           <div className="sop-value-display">
                             {row.value ?? '-'}
                             {row.manual && (
                               <span className="sop-manual-indicator">Manual</span>
                             )}
+                            {cyclicMetricNames.has(row.metric) && (
+                              <span className="sop-cycle-indicator">Circular</span>
+                            )}
+                            {signMismatch && (
+                              <span className="sop-sign-warning">Expected {metricDefinition.expectedSign}</span>
+                            )}
+                            {autoDerivation?.missingPeriodColumn && (
+                              <span className="sop-sign-warning">No value in {autoDerivation.missingPeriodColumn}</span>
+                            )}
                           </div>
                         </td>
-                        <td>{sourceText}</td>
+                        {showPriorSop && (
+                          <>
+                            <td className="prior-value-cell">{priorEntry ? priorEntry.value : 'Not in prior'}</td>
+                            <td className={`prior-change-cell${priorOutlier ? ' prior-outlier' : ''}`}>
+                              {formatPercentChange(priorChange)}
+                            </td>
+                          </>
+                        )}
+                        <td>
+                          {sourceLocation ? (
+                            <button
+                              type="button"
+                              className="row-locate-button"
+                              onClick={() => handleLocateRow(sourceRow)}
+                              title={`Show in the PDF (page ${sourceLocation.page})`}
+                            >
+                              {sourceText}
+                              <span className="row-locate-page">p.{sourceLocation.page}</span>
+                            </button>
+                          ) : sourceText}
+                        </td>
                         <td className="sop-actions-cell">
                           <div className="sop-action-buttons">
                             <button
@@ -2496,7 +6556,7 @@ function App() {
                       </tr>
                       {isEditing && (
                         <tr className="sop-edit-row">
-                          <td colSpan={4}>
+                          <td colSpan={sopColumnCount}>
                             <div className="sop-edit-form">
                               <label>
                                 <span>Value</span>
@@ -2537,8 +6597,119 @@ function App() {
                       )}
                       {isExpanded && (
                         <tr className="sop-breakdown-row">
-                          <td colSpan={4}>
+                          <td colSpan={sopColumnCount}>
                             <div className="sop-breakdown">
+                              <div className="sop-breakdown-section">
+                                <div className="sop-breakdown-section-header">
+                                  <h4>Derivation</h4>
+                                  <span>
+                                    {row.manual
+                                      ? 'Manual calculation, entries added together'
+                                      : SOP_AGGREGATION_RULES.find((option) => option.value === autoRule.aggregation).label}
+                                  </span>
+                                </div>
+                                {row.manual ? (
+                                  metricDerivations.length ? metricDerivations.map((derivation, index) => (
+                                    <div key={derivation.entryId || index} className="sop-derivation-entry">
+                                      {derivation.formula && <code className="sop-formula-preview">{derivation.formula}</code>}
+                                      {derivation.error && <p className="sop-formula-error">{derivation.error}</p>}
+                                      {derivation.ast && (
+                                        <ul className="sop-derivation-tree root">
+                                          {renderDerivationNode(derivation.ast, derivation)}
+                                        </ul>
+                                      )}
+                                    </div>
+                                  )) : (
+                                    <p className="sop-breakdown-empty">No manual calculation was evaluated.</p>
+                                  )
+                                ) : (
+                                  <div className="sop-aggregation-controls">
+                                    <label>
+                                      <span>Aggregation</span>
+                                      <select
+                                        value={autoRule.aggregation}
+                                        onChange={(event) => handleSopAggregationRuleChange(row.metric, 'aggregation', event.target.value)}
+                                        disabled={!linkedRows.length && autoRule.aggregation !== 'stored'}
+                                        title={linkedRows.length ? undefined : 'Classify rows to this metric to aggregate them'}
+                                      >
+                                        {SOP_AGGREGATION_RULES.map((option) => (
+                                          <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                      </select>
+                                    </label>
+                                    {autoRule.aggregation === 'single' && (
+                                      <label>
+                                        <span>Row</span>
+                                        <select
+                                          value={autoDerivation?.parts[0]?.rowId || ''}
+                                          onChange={(event) => handleSopAggregationRuleChange(row.metric, 'rowId', event.target.value)}
+                                        >
+                                          {linkedRows.map((item) => (
+                                            <option key={item.rowId} value={item.rowId}>{item.lineItem} · {item.statement}</option>
+                                          ))}
+                                        </select>
+                                      </label>
+                                    )}
+                                    <label>
+                                      <span>Sign</span>
+                                      <select
+                                        value={autoRule.sign}
+                                        onChange={(event) => handleSopAggregationRuleChange(row.metric, 'sign', event.target.value)}
+                                      >
+                                        {SOP_SIGN_RULES.map((option) => (
+                                          <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                      </select>
+                                    </label>
+                                  </div>
+                                )}
+                                {!row.manual && autoRule.aggregation === 'stored' && (
+                                  <p className="sop-breakdown-empty">
+                                    The value kept from the imported workbook is shown. Choose another aggregation to derive it from the statements again.
+                                  </p>
+                                )}
+                                {!row.manual && ['sum', 'single'].includes(autoRule.aggregation) && (
+                                  <div className="sop-derivation-entry">
+                                    <ul className="sop-derivation-tree root">
+                                      {autoDerivation?.parts.map((part) => (
+                                        <li key={part.rowId}>
+                                          <div className="sop-derivation-node">
+                                            <span className="sop-derivation-label">
+                                              {part.lineItem} · {part.statement}{part.column ? ` @ ${part.column}` : ''}
+                                              <button
+                                                type="button"
+                                                className="text-button"
+                                                onClick={() => handleShowRowInStatements(part.rowId, part.column)}
+                                              >
+                                                Show row
+                                              </button>
+                                            </span>
+                                            <span className="sop-derivation-value">
+                                              {part.value === null ? `Skipped: ${part.reason}` : formatNumericValue(part.value) ?? part.value}
+                                            </span>
+                                          </div>
+                                        </li>
+                                      ))}
+                                    </ul>
+                                    {autoDerivation?.total === null && (
+                                      <p className="sop-breakdown-empty">No classified row holds a number in its period column, so the extracted value is kept.</p>
+                                    )}
+                                  </div>
+                                )}
+                                {!row.manual && autoRule.aggregation === 'latest' && (row.statement && row.sourceLine ? (
+                                  <div className="sop-derivation-entry">
+                                    <div className="sop-derivation-node">
+                                      <span className="sop-derivation-label">
+                                        {row.sourceLine} · {row.statement}{row.column ? ` @ ${row.column}` : ''}
+                                      </span>
+                                      <span className="sop-derivation-value">{row.value ?? '-'}</span>
+                                    </div>
+                                    {renderResolution(sourceResolution)}
+                                  </div>
+                                ) : (
+                                  <p className="sop-breakdown-empty">The extraction did not record a source row for this metric.</p>
+                                ))}
+                              </div>
                               <div className="sop-breakdown-section">
                                 <div className="sop-breakdown-section-header">
                                   <h4>Linked line items</h4>
@@ -2548,6 +6719,8 @@ function App() {
                                   <ul className="sop-breakdown-list">
                                     {linkedRows.map((item) => {
                                       const valueEntries = Object.entries(item.values || {});
+                                      const linkedRow = lineItems.find((candidate) => candidate.rowId === item.rowId);
+                                      const linkedLocation = readRowLocation(linkedRow);
                                       return (
                                         <li key={item.rowId} className="sop-breakdown-list-item">
                                           <div className="sop-breakdown-item-header">
@@ -2556,6 +6729,16 @@ function App() {
                                               {' · '}
                                               {(item.lineItem || 'Unnamed line item')}
                                             </span>
+                                            {linkedLocation && (
+                                              <button
+                                                type="button"
+                                                className="row-locate-button"
+                                                onClick={() => handleLocateRow(linkedRow)}
+                                              >
+                                                View in PDF
+                                                <span className="row-locate-page">p.{linkedLocation.page}</span>
+                                              </button>
+                                            )}
                                             <span className="sop-breakdown-tag">Linked</span>
                                           </div>
                                           <div className="sop-breakdown-values">
@@ -2583,7 +6766,7 @@ function App() {
                                   <span>{manualEntriesForMetric.length} manual</span>
                                 </div>
                                 {manualEntriesForMetric.length ? (
-                                  <div className="sop-breakdown-manual-list">
+                                  <div className="sop-breakdown-manual-list" data-history-scope>
                                     {manualEntriesForMetric.map((entry, entryIndex) => {
                                       const metricSlug = (row.metric || 'metric').toString().replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase();
                                       const entrySuffix = `${metricSlug}-${entry.id || entryIndex}`;
@@ -2591,6 +6774,9 @@ function App() {
                                       const entryLineItemListId = `manual-line-item-${entrySuffix}`;
                                       const calculationSteps = Array.isArray(entry.calculation) ? entry.calculation : [];
                                       const lineItemOptions = getLineItemSuggestions(entry.statement);
+                                      const entryFormulaMode = entry.mode === 'formula';
+                                      const compiledFormula = entryFormulaMode ? '' : compileStepsToFormula(entry, parseNumericValue);
+                                      const entryIssue = manualSopEvaluation.entryIssues[entry.id] || '';
                                       return (
                                         <div key={entry.id} className="sop-breakdown-manual-item">
                                           <div className="sop-breakdown-manual-grid">
@@ -2637,16 +6823,35 @@ function App() {
                                           </div>
                                           <div className="sop-breakdown-calculation">
                                             <div className="sop-breakdown-calculation-header">
-                                              <span>Calculation Steps</span>
-                                              <button
-                                                type="button"
-                                                className="sop-breakdown-add-step"
-                                                onClick={() => handleAddManualBreakdownCalculationStep(row.metric, entry.id)}
-                                              >
-                                                Add Step
-                                              </button>
+                                              <span>{entryFormulaMode ? 'Formula' : 'Calculation Steps'}</span>
+                                              <div className="sop-breakdown-calculation-actions">
+                                                {!entryFormulaMode && (
+                                                  <button
+                                                    type="button"
+                                                    className="sop-breakdown-add-step"
+                                                    onClick={() => handleAddManualBreakdownCalculationStep(row.metric, entry.id)}
+                                                  >
+                                                    Add Step
+                                                  </button>
+                                                )}
+                                                <button
+                                                  type="button"
+                                                  className="sop-breakdown-add-step"
+                                                  onClick={() => handleManualBreakdownModeChange(
+                                                    row.metric,
+                                                    entry.id,
+                                                    entryFormulaMode ? 'builder' : 'formula',
+                                                  )}
+                                                >
+                                                  {entryFormulaMode ? 'Use Step Builder' : 'Edit as Formula'}
+                                                </button>
+                                              </div>
                                             </div>
-                                            {calculationSteps.length ? (
+                                            {entryFormulaMode ? renderFormulaEditor(
+                                              entry.formula || '',
+                                              (value) => handleManualBreakdownValueChange(row.metric, entry.id, 'formula', value),
+                                              entryIssue,
+                                            ) : calculationSteps.length ? (
                                               <div className="sop-breakdown-calculation-list">
                                                 {calculationSteps.map((step, stepIndex) => {
                                                   const stepSuffix = `${entrySuffix}-${stepIndex}`;
@@ -2744,6 +6949,12 @@ function App() {
                                             ) : (
                                               <p className="sop-breakdown-empty muted">No calculation steps configured.</p>
                                             )}
+                                            {!entryFormulaMode && compiledFormula && (
+                                              <code className="sop-formula-preview">{compiledFormula}</code>
+                                            )}
+                                            {!entryFormulaMode && entryIssue && (
+                                              <p className="sop-formula-error">{entryIssue}</p>
+                                            )}
                                           </div>
                                           <button
                                             type="button"
@@ -2802,16 +7013,33 @@ function App() {
                                   </div>
                                   <div className="sop-breakdown-calculation">
                                     <div className="sop-breakdown-calculation-header">
-                                      <span>Calculation Steps</span>
-                                      <button
-                                        type="button"
-                                        className="sop-breakdown-add-step"
-                                        onClick={() => handleAddManualBreakdownDraftStep(row.metric)}
-                                      >
-                                        Add Step
-                                      </button>
+                                      <span>{draftFormulaMode ? 'Formula' : 'Calculation Steps'}</span>
+                                      <div className="sop-breakdown-calculation-actions">
+                                        {!draftFormulaMode && (
+                                          <button
+                                            type="button"
+                                            className="sop-breakdown-add-step"
+                                            onClick={() => handleAddManualBreakdownDraftStep(row.metric)}
+                                          >
+                                            Add Step
+                                          </button>
+                                        )}
+                                        <button
+                                          type="button"
+                                          className="sop-breakdown-add-step"
+                                          onClick={() => handleManualBreakdownDraftModeChange(
+                                            row.metric,
+                                            draftFormulaMode ? 'builder' : 'formula',
+                                          )}
+                                        >
+                                          {draftFormulaMode ? 'Use Step Builder' : 'Write a Formula'}
+                                        </button>
+                                      </div>
                                     </div>
-                                    {Array.isArray(breakdownDraft.calculation) && breakdownDraft.calculation.length ? (
+                                    {draftFormulaMode ? renderFormulaEditor(
+                                      breakdownDraft.formula || '',
+                                      (value) => handleManualBreakdownDraftChange(row.metric, 'formula', value),
+                                    ) : Array.isArray(breakdownDraft.calculation) && breakdownDraft.calculation.length ? (
                                       <div className="sop-breakdown-calculation-list">
                                         {breakdownDraft.calculation.map((step, stepIndex) => {
                                           const stepSuffix = `${metricSlug}-draft-${stepIndex}`;
@@ -2928,6 +7156,43 @@ function App() {
             </table>
           </div>
         </div>
+        <div className="panel-card sop-rules-card">
+          <div className="sop-card-header">
+            <h3>Identity Checks</h3>
+            <p>
+              Accounting relationships evaluated on the current SOP values, within a rounding tolerance of {formatNumericValue(crossFootSettings.tolerance)}.
+            </p>
+          </div>
+          <table className="sop-rules-table">
+            <thead>
+              <tr>
+                <th>Rule</th>
+                <th>Result</th>
+                <th>Left Side</th>
+                <th>Right Side</th>
+                <th>Difference</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sopIdentityResults.map((result) => (
+                <tr key={result.id} className={`sop-rule-row ${result.status}`}>
+                  <td>{result.label}</td>
+                  <td>
+                    <span className={`sop-rule-status ${result.status}`}>
+                      {result.status === 'missing' ? 'Not evaluated' : result.status === 'pass' ? 'Pass' : 'Fail'}
+                    </span>
+                    {result.status === 'missing' && (
+                      <span className="sop-rule-missing">Missing {result.missing.join(', ')}</span>
+                    )}
+                  </td>
+                  <td>{result.left === null ? '-' : formatNumericValue(result.left)}</td>
+                  <td>{result.right === null ? '-' : formatNumericValue(result.right)}</td>
+                  <td>{result.difference === null ? '-' : formatNumericValue(result.difference)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
       </div>
     );
   };
@@ -2953,7 +7218,7 @@ function App() {
               type="button"
               className="finalize-button"
               onClick={handleFinalize}
-              disabled={loading || !totalRows}
+              disabled={!totalRows}
             >
               Finalize Quality Control
             </button>
@@ -2978,6 +7243,397 @@ function App() {
             )}
           </div>
         </div>
+        <div className="panel-card export-card">
+          <h3>Company History</h3>
+          <p>
+            Finalized reports are saved under their company and fiscal period, so the SOP metrics build up a history on the Companies tab.
+            {' '}
+            {reportMetadata.company && reportMetadata.fiscalPeriod
+              ? `This report is filed as ${reportMetadata.company} - ${reportMetadata.fiscalPeriod}.`
+              : 'Set the company and fiscal period in the report details on the Overview tab.'}
+          </p>
+          <div className="export-actions">
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => saveReportToCompanyHistory()}
+              disabled={!qcComplete}
+            >
+              Save to Company History
+            </button>
+          </div>
+          {historyOverwrite
+            && historyOverwrite.company === reportMetadata.company.trim()
+            && historyOverwrite.period === reportMetadata.fiscalPeriod.trim() && (
+            <div className="history-overwrite-prompt">
+              <p>
+                {historyOverwrite.company} - {historyOverwrite.period} was already saved on {historyOverwrite.savedAtText}
+                {historyOverwrite.pdfName ? ` from ${historyOverwrite.pdfName}` : ''}. Check the fiscal period before replacing it.
+              </p>
+              <div className="export-actions">
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={() => saveReportToCompanyHistory('', { replace: true })}
+                >
+                  Replace Saved Period
+                </button>
+                <button
+                  type="button"
+                  className="text-button"
+                  onClick={() => setHistoryOverwrite(null)}
+                >
+                  Keep Saved Values
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+        <div className="panel-card export-card">
+          <h3>Project File</h3>
+          <p>
+            Save the extraction together with every edit made so far as a {PROJECT_FILE_EXTENSION} file.
+            A colleague can open it with <strong>Open Project</strong> to continue the review without re-processing the PDF.
+          </p>
+          <div className="export-actions">
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={handleExportProject}
+            >
+              Export Project ({PROJECT_FILE_EXTENSION})
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderCompareTab = () => {
+    if (!lineItems.length) {
+      return (
+        <div className="tab-placeholder">
+          Upload a PDF before comparing extractions.
+        </div>
+      );
+    }
+
+    const activeComparison = comparison && comparison.documentId === activeDocumentId ? comparison : null;
+    const comparisonProgress = activeComparison?.status === 'loading'
+      ? describeUploadProgress(activeComparison.progress, 0)
+      : null;
+    const differenceCount = comparisonGroups.reduce((sum, group) => sum + group.rows.reduce(
+      (rowSum, row) => rowSum + (row.kind === 'changed' ? row.cells.length : 1),
+      0,
+    ), 0);
+    const describeRowValues = (row) => (activeComparison?.valueColumns || valueColumns)
+      .filter((column) => toTrimmed(row[column]))
+      .map((column) => `${column}: ${toTrimmed(row[column])}`)
+      .join(' · ') || 'No values';
+
+    return (
+      <div className="tab-panel-body compare-tab">
+        <div className="tab-header">
+          <div>
+            <h3>Compare Extractions</h3>
+            <p>
+              Load a second extraction of this report to see what changed. Rows are matched by statement and line item; keep the current value or take the comparison value per cell or per statement.
+            </p>
+          </div>
+          <div className="tab-actions">
+            <label className="secondary-button compare-source-button">
+              Compare with PDF
+              <input
+                type="file"
+                accept="application/pdf"
+                onChange={handleComparisonPdfChange}
+                disabled={activeComparison?.status === 'loading'}
+              />
+            </label>
+            <label className="secondary-button compare-source-button">
+              Compare with Project
+              <input
+                type="file"
+                accept={`${PROJECT_FILE_EXTENSION},application/json`}
+                onChange={handleComparisonProjectChange}
+                disabled={activeComparison?.status === 'loading'}
+              />
+            </label>
+            {activeComparison && (
+              <button type="button" className="text-button" onClick={handleComparisonClose}>
+                {activeComparison.status === 'loading' ? 'Cancel' : 'Close Comparison'}
+              </button>
+            )}
+          </div>
+        </div>
+        {!activeComparison && (
+          <div className="panel-card compare-empty">
+            No comparison loaded. Upload the same PDF again for a fresh extraction, or open a saved project.
+          </div>
+        )}
+        {comparisonProgress && (
+          <div className="panel-card compare-empty">
+            Extracting {activeComparison.sourceLabel}: {comparisonProgress.message}
+            {comparisonProgress.percent !== null && ` ${comparisonProgress.percent}%`}
+          </div>
+        )}
+        {activeComparison?.status === 'ready' && (
+          <>
+            <p className="compare-summary">
+              Current workspace (left) vs {activeComparison.sourceLabel} (right):
+              {' '}
+              {differenceCount ? `${differenceCount} difference${differenceCount === 1 ? '' : 's'} remaining.` : 'no differences remaining.'}
+            </p>
+            {comparisonGroups.map((group) => (
+              <div key={group.statement} className="panel-card compare-group">
+                <div className="sop-card-header">
+                  <div>
+                    <h3>{group.statement}</h3>
+                    <p>{group.rows.length} row{group.rows.length === 1 ? '' : 's'} differ</p>
+                  </div>
+                  <div className="compare-actions">
+                    <button
+                      type="button"
+                      className="secondary-button"
+                      onClick={() => handleComparisonKeep(group.rows.flatMap((row) => (
+                        row.kind === 'changed' ? row.cells.map((cell) => `${row.key}||${cell.column}`) : [row.key]
+                      )))}
+                    >
+                      Keep All Current
+                    </button>
+                    <button
+                      type="button"
+                      className="secondary-button"
+                      onClick={() => handleComparisonTake(group.rows, `Took comparison values for ${group.statement}`)}
+                    >
+                      Take All Comparison
+                    </button>
+                  </div>
+                </div>
+                <div className="table-wrapper">
+                  <table className="compare-table">
+                    <thead>
+                      <tr>
+                        <th>Line Item</th>
+                        <th>Column</th>
+                        <th>Current</th>
+                        <th>Comparison</th>
+                        <th className="actions-header">Accept</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {group.rows.flatMap((row) => {
+                        const label = (row.left || row.right).lineItem || (row.left || row.right)['Line Item'];
+                        if (row.kind !== 'changed') {
+                          return [(
+                            <tr key={row.key} className={row.kind}>
+                              <td>{label}</td>
+                              <td>{row.kind === 'added' ? 'Only in comparison' : 'Only in current'}</td>
+                              <td>{row.left ? describeRowValues(row.left) : '-'}</td>
+                              <td>{row.right ? describeRowValues(row.right) : '-'}</td>
+                              <td className="compare-cell-actions">
+                                <button type="button" className="text-button" onClick={() => handleComparisonKeep([row.key])}>
+                                  Left
+                                </button>
+                                <button
+                                  type="button"
+                                  className="text-button"
+                                  onClick={() => handleComparisonTake([row], `${row.kind === 'added' ? 'Added' : 'Removed'} "${label}" from comparison`)}
+                                >
+                                  Right
+                                </button>
+                              </td>
+                            </tr>
+                          )];
+                        }
+                        return row.cells.map((cell) => (
+                          <tr key={`${row.key}||${cell.column}`} className="changed">
+                            <td>{label}</td>
+                            <td>{cell.column}</td>
+                            <td>{cell.left || '-'}</td>
+                            <td>{cell.right || '-'}</td>
+                            <td className="compare-cell-actions">
+                              <button
+                                type="button"
+                                className="text-button"
+                                onClick={() => handleComparisonKeep([`${row.key}||${cell.column}`])}
+                              >
+                                Left
+                              </button>
+                              <button
+                                type="button"
+                                className="text-button"
+                                onClick={() => handleComparisonTake([{ ...row, cells: [cell] }], `Took comparison value for ${label} · ${cell.column}`)}
+                              >
+                                Right
+                              </button>
+                            </td>
+                          </tr>
+                        ));
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderCompaniesTab = () => (
+    <div className="tab-panel-body companies-tab">
+      <div className="tab-header">
+        <div>
+          <h3>Company History</h3>
+          <p>
+            SOP metrics saved from finalized reports, one column per fiscal period. The history is stored in this browser.
+          </p>
+        </div>
+        {companyList.length > 0 && (
+          <div className="tab-actions">
+            <select
+              value={activeCompanyKey}
+              onChange={(event) => setSelectedCompanyKey(event.target.value)}
+            >
+              {companyList.map((entry) => (
+                <option key={entry.companyKey} value={entry.companyKey}>
+                  {entry.company} ({entry.periods} period{entry.periods === 1 ? '' : 's'})
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => handleExportCompanySeries('xlsx')}
+              disabled={!companySeries.periods.length}
+            >
+              Export XLSX
+            </button>
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => handleExportCompanySeries('csv')}
+              disabled={!companySeries.periods.length}
+            >
+              Export CSV
+            </button>
+          </div>
+        )}
+      </div>
+      {!companyList.length ? (
+        <div className="panel-card compare-empty">
+          No company history yet. Fill in the report details on the Overview tab, then finalize a report to save its SOP summary here.
+        </div>
+      ) : (
+        <div className="panel-card">
+          <div className="table-wrapper">
+            <table className="company-series-table">
+              <thead>
+                <tr>
+                  <th>Metric</th>
+                  <th>Trend</th>
+                  {companySeries.periods.map((record) => (
+                    <th key={record.id}>
+                      <div className="column-header">
+                        <span title={record.pdfName || undefined}>{record.period}</span>
+                        <button
+                          type="button"
+                          className="column-remove-button"
+                          onClick={() => handleDeleteCompanyPeriod(record)}
+                          title={`Remove ${record.period} from the history`}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {companySeries.rows.map((row) => (
+                  <tr key={row.metric}>
+                    <td>
+                      {row.metric}
+                      {row.unit && <span className="sop-metric-unit">{row.unit}</span>}
+                    </td>
+                    <td className="sparkline-cell">
+                      <Sparkline values={row.values} />
+                    </td>
+                    {row.values.map((value, index) => (
+                      <td key={companySeries.periods[index].id}>{value}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  const renderHistoryTab = () => {
+    if (!history.entries.length) {
+      return (
+        <div className="tab-placeholder">
+          Upload a PDF to start recording edit history.
+        </div>
+      );
+    }
+
+    return (
+      <div className="tab-panel-body history-tab">
+        <div className="tab-header">
+          <div>
+            <h3>Edit History</h3>
+            <p>
+              Every edit is recorded here. Use Ctrl+Z / Ctrl+Shift+Z to step through it, or jump straight back to any earlier point.
+            </p>
+          </div>
+          <div className="tab-actions">
+            <button type="button" className="secondary-button" onClick={handleUndo} disabled={!canUndo}>
+              Undo
+            </button>
+            <button type="button" className="secondary-button" onClick={handleRedo} disabled={!canRedo}>
+              Redo
+            </button>
+          </div>
+        </div>
+        <div className="panel-card history-card">
+          <ol className="history-list">
+            {history.entries.map((entry, entryIndex) => {
+              const isCurrent = entryIndex === history.index;
+              const isUndone = entryIndex > history.index;
+              return (
+                <li
+                  key={entry.id}
+                  className={`history-item${isCurrent ? ' current' : ''}${isUndone ? ' undone' : ''}`}
+                >
+                  <div className="history-item-details">
+                    <span className="history-item-label">{entry.label}</span>
+                    {entry.message && (
+                      <span className="history-item-message">{entry.message}</span>
+                    )}
+                    <span className="history-item-time">{new Date(entry.timestamp).toLocaleTimeString()}</span>
+                  </div>
+                  {isCurrent ? (
+                    <span className="history-item-badge">Current</span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="sop-action-button"
+                      onClick={() => jumpToHistory(entryIndex)}
+                    >
+                      Jump here
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
       </div>
     );
   };
@@ -2988,8 +7644,14 @@ function App() {
         return renderStatementsTab();
       case 'sop':
         return renderSopTab();
+      case 'compare':
+        return renderCompareTab();
       case 'exports':
         return renderExportsTab();
+      case 'companies':
+        return renderCompaniesTab();
+      case 'history':
+        return renderHistoryTab();
       case 'overview':
       default:
         return renderOverviewTab();
@@ -2997,16 +7659,12 @@ function App() {
   };
 
   return (
-    <div className="app-shell">
-      {loading && (
-        <div className="loading-overlay">
-          <div className="loading-content">
-            <div className="loading-spinner" />
-            <p>{status?.message || 'Processing PDF...'}</p>
-            <p className="loading-subtext">Large reports can take a couple of minutes. Please keep this tab open.</p>
-          </div>
-        </div>
-      )}
+    <div
+      className={`app-shell${dropActive ? ' drop-active' : ''}`}
+      onDragOver={handleShellDragOver}
+      onDragLeave={handleShellDragLeave}
+      onDrop={handleShellDrop}
+    >
       <header className="shell-header">
         <div className="shell-brand">
           <img
@@ -3016,26 +7674,95 @@ function App() {
           />
           <h1>Financial Data QC Workbench</h1>
         </div>
-        <label className="upload-button">
-          <svg
-            className="upload-button-icon"
-            viewBox="0 0 24 24"
-            aria-hidden="true"
-            focusable="false"
-          >
-            <path
-              fill="currentColor"
-              d="M12 3a1 1 0 0 1 .78.37l4 5a1 1 0 1 1-1.56 1.26L13 6.54V15a1 1 0 0 1-2 0V6.54L8.78 9.63a1 1 0 0 1-1.56-1.26l4-5A1 1 0 0 1 12 3zm-7 12a1 1 0 0 1 1 1v3h12v-3a1 1 0 1 1 2 0v3a3 3 0 0 1-3 3H8a3 3 0 0 1-3-3v-3a1 1 0 0 1 1-1z"
+        <div className="shell-actions">
+          <label className="upload-button">
+            <svg
+              className="upload-button-icon"
+              viewBox="0 0 24 24"
+              aria-hidden="true"
+              focusable="false"
+            >
+              <path
+                fill="currentColor"
+                d="M12 3a1 1 0 0 1 .78.37l4 5a1 1 0 1 1-1.56 1.26L13 6.54V15a1 1 0 0 1-2 0V6.54L8.78 9.63a1 1 0 0 1-1.56-1.26l4-5A1 1 0 0 1 12 3zm-7 12a1 1 0 0 1 1 1v3h12v-3a1 1 0 1 1 2 0v3a3 3 0 0 1-3 3H8a3 3 0 0 1-3-3v-3a1 1 0 0 1 1-1z"
+              />
+            </svg>
+            <span>Upload PDFs</span>
+            <input
+              type="file"
+              accept="application/pdf"
+              multiple
+              onChange={handleFileChange}
             />
-          </svg>
-          <span>Upload PDF</span>
-          <input
-            type="file"
-            accept="application/pdf"
-            onChange={handleFileChange}
-            disabled={loading}
-          />
-        </label>
+          </label>
+          <label className="upload-button secondary">
+            <span>Upload Folder</span>
+            <input
+              type="file"
+              webkitdirectory=""
+              multiple
+              onChange={handleFileChange}
+            />
+          </label>
+          <label className="upload-button secondary">
+            <span>Open Project</span>
+            <input
+              type="file"
+              accept={`${PROJECT_FILE_EXTENSION},application/json`}
+              onChange={handleProjectFileChange}
+            />
+          </label>
+          <label className="upload-button secondary">
+            <span>Import Workbook</span>
+            <input
+              type="file"
+              accept=".xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={handleWorkbookImportChange}
+            />
+          </label>
+        </div>
+        {documents.length > 0 && (
+          <nav className="document-switcher" aria-label="Open documents">
+            {documents.map((doc) => {
+              const isActive = doc.id === activeDocumentId;
+              const progress = summariseDocumentProgress(isActive ? sessionSnapshot : doc.snapshot);
+              const progressPercent = progress.statements
+                ? Math.round((progress.reviewed / progress.statements) * 100)
+                : 0;
+              return (
+                <div
+                  key={doc.id}
+                  className={`document-tab${isActive ? ' active' : ''}${progress.qcComplete ? ' complete' : ''}`}
+                >
+                  <button
+                    type="button"
+                    className="document-tab-select"
+                    onClick={() => handleSwitchDocument(doc.id)}
+                    title={doc.pdfName}
+                  >
+                    <span className="document-tab-name">{doc.pdfName || 'Untitled report'}</span>
+                    <span className="document-tab-progress">
+                      {progress.qcComplete
+                        ? 'QC complete'
+                        : `${progress.reviewed}/${progress.statements} reviewed`}
+                    </span>
+                    <span className="document-tab-bar">
+                      <span style={{ width: `${progress.qcComplete ? 100 : progressPercent}%` }} />
+                    </span>
+                  </button>
+                  <button
+                    type="button"
+                    className="document-tab-close"
+                    onClick={() => handleCloseDocument(doc.id)}
+                    aria-label={`Close ${doc.pdfName || 'document'}`}
+                  >
+                    &times;
+                  </button>
+                </div>
+              );
+            })}
+          </nav>
+        )}
       </header>
 
       <section className="workflow-strip">
@@ -3053,18 +7780,208 @@ function App() {
         })}
       </section>
 
-      {error && (
-        <div className="alert error">
-          {error}
-        </div>
-      )}
-
       {status && (
         <div className={`alert ${status.type}`}>
           {status.message}
         </div>
       )}
 
+      {savedSessions.length > 0 && (
+        <div className="session-restore-banner">
+          <div className="session-restore-header">
+            <div>
+              <h3>Saved QC session{savedSessions.length === 1 ? '' : 's'} found</h3>
+              <p>Your edits are saved in this browser as you work. Restore a session to pick up where you left off.</p>
+            </div>
+            <button
+              type="button"
+              className="text-button"
+              onClick={handleDismissSavedSessions}
+            >
+              Not now
+            </button>
+          </div>
+          <ul className="session-restore-list">
+            {savedSessions.map((session) => {
+              const sessionLineItems = Array.isArray(session.lineItems) ? session.lineItems : [];
+              const sessionVerified = Object.values(session.verifiedStatements || {});
+              const savedAtText = session.savedAt ? new Date(session.savedAt).toLocaleString() : 'Unknown time';
+              return (
+                <li key={session.sessionKey} className="session-restore-item">
+                  <div className="session-restore-details">
+                    <span className="session-restore-name">{session.pdfName}</span>
+                    <span className="session-restore-meta">
+                      Saved {savedAtText}
+                      {' · '}
+                      {sessionLineItems.length} line item{sessionLineItems.length === 1 ? '' : 's'}
+                      {' · '}
+                      {sessionVerified.filter(Boolean).length}/{sessionVerified.length} statements reviewed
+                    </span>
+                  </div>
+                  <div className="session-restore-actions">
+                    <button
+                      type="button"
+                      className="secondary-button"
+                      onClick={() => handleRestoreSession(session)}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      type="button"
+                      className="text-button"
+                      onClick={() => handleDiscardSession(session)}
+                    >
+                      Discard saved session
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {!savedSessions.length && deferredSessions.length > 0 && (
+        <div className="session-restore-reminder">
+          <span>
+            {deferredSessions.length} saved session{deferredSessions.length === 1 ? ' is' : 's are'} waiting.
+            Autosave will not overwrite {deferredSessions.length === 1 ? 'it' : 'them'} until you restore or discard.
+          </span>
+          <button
+            type="button"
+            className="text-button"
+            onClick={handleReviewDeferredSessions}
+          >
+            Review saved sessions
+          </button>
+        </div>
+      )}
+
+      {uploadQueue.length > 0 && (
+        <div className="upload-queue">
+          <div className="upload-queue-header">
+            <div>
+              <h3>Upload Queue</h3>
+              <p>
+                {uploadQueue.filter((item) => item.status === 'ready').length} ready
+                {' · '}
+                {uploadQueue.filter((item) => item.status === 'processing').length} processing
+                {' · '}
+                {uploadQueue.filter((item) => item.status === 'queued').length} queued
+                {' · '}
+                {uploadQueue.filter((item) => item.status === 'failed').length} failed
+              </p>
+            </div>
+            <button
+              type="button"
+              className="text-button"
+              onClick={handleClearFinishedUploads}
+              disabled={uploadQueue.every((item) => item.status === 'queued' || item.status === 'processing')}
+            >
+              Clear finished
+            </button>
+          </div>
+          <ul className="upload-queue-list">
+            {uploadQueue.map((item) => {
+              const elapsed = item.startedAt
+                ? (item.finishedAt || queueClock) - item.startedAt
+                : 0;
+              const progress = describeUploadProgress(item.progress, elapsed);
+              const isOpenDocument = Boolean(item.documentId) && item.documentId === activeDocumentId;
+              return (
+                <li key={item.id} className={`upload-queue-item ${item.status}`}>
+                  <div className="upload-queue-details">
+                    <span className="upload-queue-name">{item.fileName}</span>
+                    <span className="upload-queue-meta">
+                      {item.status === 'processing' && (
+                        <>
+                          {progress.message}
+                          {progress.percent !== null && ` ${progress.percent}%`}
+                        </>
+                      )}
+                      {item.status === 'failed' && (
+                        <>
+                          {item.errorLabel && <strong>{item.errorLabel}: </strong>}
+                          {item.error}
+                        </>
+                      )}
+                      {item.status === 'cancelled' && 'Extraction cancelled.'}
+                      {item.status === 'ready' && (item.note || (isOpenDocument ? 'Open in the workspace.' : 'Waiting in the document list.'))}
+                      {item.status === 'queued' && 'Waiting for a free slot...'}
+                    </span>
+                    {item.status === 'processing' && progress.percent !== null && (
+                      <span className="upload-queue-progress">
+                        <span style={{ width: `${progress.percent}%` }} />
+                      </span>
+                    )}
+                  </div>
+                  <span className={`upload-queue-status ${item.status}`}>
+                    {UPLOAD_STATUS_LABELS[item.status]}
+                  </span>
+                  <span className="upload-queue-elapsed">{item.startedAt ? formatElapsed(elapsed) : '-'}</span>
+                  <div className="upload-queue-actions">
+                    {item.status === 'ready' && item.duplicateSnapshot && (
+                      <>
+                        <button
+                          type="button"
+                          className="secondary-button"
+                          onClick={() => handleReplaceWithUpload(item)}
+                        >
+                          Replace open copy
+                        </button>
+                        <button
+                          type="button"
+                          className="text-button"
+                          onClick={() => handleOpenUploadAsCopy(item)}
+                        >
+                          Open as copy
+                        </button>
+                      </>
+                    )}
+                    {item.status === 'ready' && !item.duplicateSnapshot && item.pdfName && !isOpenDocument && (
+                      <button
+                        type="button"
+                        className="secondary-button"
+                        onClick={() => handleOpenUploadedDocument(item)}
+                      >
+                        Open
+                      </button>
+                    )}
+                    {(item.status === 'failed' || item.status === 'cancelled') && (
+                      <button
+                        type="button"
+                        className="secondary-button"
+                        onClick={() => handleRetryUpload(item.id)}
+                      >
+                        Retry
+                      </button>
+                    )}
+                    {(item.status === 'queued' || item.status === 'processing') && (
+                      <button
+                        type="button"
+                        className="text-button"
+                        onClick={() => handleCancelUpload(item.id)}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    {item.status !== 'processing' && item.status !== 'queued' && (
+                      <button
+                        type="button"
+                        className="text-button"
+                        onClick={() => handleRemoveUpload(item.id)}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
       <div className="workspace-grid">
         <section className="workspace-left">
           <div className="workspace-card pdf-card">
@@ -3072,49 +7989,84 @@ function App() {
               <div>
                 <h2>Source PDF</h2>
                 <span className="file-name">{pdfName || 'No file uploaded'}</span>
+                {pdfHighlight && (
+                  <span className="pdf-highlight-label">
+                    Showing {pdfHighlight.label} on page {pdfHighlight.page}
+                    <button
+                      type="button"
+                      className="text-button"
+                      onClick={() => setPdfHighlight(null)}
+                    >
+                      Clear
+                    </button>
+                  </span>
+                )}
               </div>
               <div className="pdf-controls">
                 <span>Zoom</span>
                 <div className="pdf-controls-buttons">
                   <button
                     type="button"
-                    onClick={() => setPdfZoom((value) => Math.max(0.5, Number((value - 0.1).toFixed(2))))}
-                    disabled={!iframeSrc}
+                    onClick={() => {
+                      setPdfFitMode('custom');
+                      setPdfZoom((value) => Math.max(0.5, Number((value - 0.1).toFixed(2))));
+                    }}
+                    disabled={!hasPdf}
                   >
                     -
                   </button>
                   <span className="zoom-value">{Math.round(pdfZoom * 100)}%</span>
                   <button
                     type="button"
-                    onClick={() => setPdfZoom((value) => Math.min(3, Number((value + 0.1).toFixed(2))))}
-                    disabled={!iframeSrc}
+                    onClick={() => {
+                      setPdfFitMode('custom');
+                      setPdfZoom((value) => Math.min(3, Number((value + 0.1).toFixed(2))));
+                    }}
+                    disabled={!hasPdf}
                   >
                     +
                   </button>
                   <button
                     type="button"
-                    onClick={() => setPdfZoom(1)}
-                    disabled={!iframeSrc || pdfZoom === 1}
+                    className={pdfFitMode === 'width' ? 'active' : ''}
+                    onClick={() => setPdfFitMode('width')}
+                    disabled={!hasPdf}
+                  >
+                    Fit width
+                  </button>
+                  <button
+                    type="button"
+                    className={pdfFitMode === 'page' ? 'active' : ''}
+                    onClick={() => setPdfFitMode('page')}
+                    disabled={!hasPdf}
+                  >
+                    Fit page
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setPdfFitMode('custom');
+                      setPdfZoom(1);
+                    }}
+                    disabled={!hasPdf || (pdfFitMode === 'custom' && pdfZoom === 1)}
                   >
                     Reset
                   </button>
                 </div>
               </div>
             </div>
-            {iframeSrc ? (
-              <div className="pdf-frame-scroll">
-                <div
-                  className="pdf-frame-wrapper"
-                  style={{
-                    transform: `scale(${pdfZoom})`,
-                    transformOrigin: 'top left',
-                  }}
-                >
-                  <iframe title="Uploaded PDF" src={iframeSrc} className="pdf-frame" />
-                </div>
-              </div>
+            {hasPdf ? (
+              <PdfViewer
+                data={pdfBase64}
+                zoom={pdfZoom}
+                fitMode={pdfFitMode}
+                onZoomChange={setPdfZoom}
+                highlight={pdfHighlight}
+              />
             ) : (
-              <div className="placeholder">Upload a financial PDF to begin.</div>
+              <div className="placeholder">
+                {lineItems.length ? 'The source PDF is not attached to this document.' : 'Upload a financial PDF to begin.'}
+              </div>
             )}
           </div>
         </section>
@@ -3134,6 +8086,26 @@ function App() {
                 </button>
               );
             })}
+            <div className="history-shortcuts">
+              <button
+                type="button"
+                className="history-shortcut-button"
+                onClick={handleUndo}
+                disabled={!canUndo}
+                title="Undo (Ctrl+Z)"
+              >
+                Undo
+              </button>
+              <button
+                type="button"
+                className="history-shortcut-button"
+                onClick={handleRedo}
+                disabled={!canRedo}
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                Redo
+              </button>
+            </div>
           </div>
           <div className="right-tab-panel">
             {renderActiveTab()}
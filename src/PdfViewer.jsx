@@ -0,0 +1,669 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// PDF.js measures pages in points; browsers lay out at 96 CSS pixels per inch.
+const PDF_CSS_UNITS = 96 / 72;
+const HIGHLIGHT_SCROLL_MARGIN = 48;
+const PAGE_GUTTER = 16;
+const THUMBNAIL_WIDTH = 96;
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+
+const clampZoom = (value) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value));
+
+const decodeBase64 = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let idx = 0; idx < binary.length; idx += 1) {
+    bytes[idx] = binary.charCodeAt(idx);
+  }
+  return bytes;
+};
+
+const resolveHighlightRect = (bbox, pageSize) => {
+  if (!bbox || !pageSize) {
+    return null;
+  }
+  const { x0, top, x1, bottom } = bbox;
+  // Boxes expressed as fractions of the page are scaled up to points.
+  const isRelative = [x0, top, x1, bottom].every((value) => value >= 0 && value <= 1);
+  const widthFactor = isRelative ? pageSize.width : 1;
+  const heightFactor = isRelative ? pageSize.height : 1;
+  return {
+    left: x0 * widthFactor,
+    top: top * heightFactor,
+    width: (x1 - x0) * widthFactor,
+    height: (bottom - top) * heightFactor,
+  };
+};
+
+const buildPageTextIndex = async (page) => {
+  const viewport = page.getViewport({ scale: 1 });
+  const textContent = await page.getTextContent();
+  return textContent.items
+    .filter((item) => typeof item.str === 'string' && item.str.trim())
+    .map((item) => {
+      const transform = pdfjsLib.Util.transform(viewport.transform, item.transform);
+      const fontHeight = Math.hypot(transform[2], transform[3]);
+      return {
+        text: item.str,
+        left: transform[4],
+        top: transform[5] - fontHeight,
+        width: item.width,
+        height: fontHeight,
+      };
+    });
+};
+
+// PDF.js often splits a label over several text items, so search each page's text as one
+// string (whitespace removed) and box a match by the characters it covers.
+const findTextHits = (textIndex, query) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  if (!needle) {
+    return [];
+  }
+  const hits = [];
+  textIndex.forEach((items, pageIndex) => {
+    const characters = [];
+    (items || []).forEach((item) => {
+      const itemCharacters = item.text.split('');
+      const charWidth = item.width / Math.max(1, itemCharacters.length);
+      itemCharacters.forEach((character, offset) => {
+        if (/\s/.test(character)) {
+          return;
+        }
+        const lowered = character.toLowerCase();
+        characters.push({
+          character: lowered.length === character.length ? lowered : character,
+          left: item.left + (charWidth * offset),
+          right: item.left + (charWidth * (offset + 1)),
+          top: item.top,
+          bottom: item.top + item.height,
+        });
+      });
+    });
+    const haystack = characters.map((entry) => entry.character).join('');
+    let position = haystack.indexOf(needle);
+    while (position !== -1) {
+      const matched = characters.slice(position, position + needle.length);
+      hits.push({
+        page: pageIndex + 1,
+        bbox: {
+          x0: Math.min(...matched.map((entry) => entry.left)),
+          top: Math.min(...matched.map((entry) => entry.top)),
+          x1: Math.max(...matched.map((entry) => entry.right)),
+          bottom: Math.max(...matched.map((entry) => entry.bottom)),
+        },
+      });
+      position = haystack.indexOf(needle, position + needle.length);
+    }
+  });
+  return hits;
+};
+
+const useVisibility = (elementRef, root, rootMargin) => {
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!element || visible) {
+      return;
+    }
+    if (typeof IntersectionObserver === 'undefined') {
+      setVisible(true);
+      return;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        setVisible(true);
+      }
+    }, { root, rootMargin });
+    observer.observe(element);
+    return () => {
+      observer.disconnect();
+    };
+  }, [elementRef, root, rootMargin, visible]);
+
+  return visible;
+};
+
+const usePageCanvas = ({ pdfDocument, pageNumber, pixelScale, visible, canvasRef, textLayerRef }) => {
+  useEffect(() => {
+    if (!visible || !pdfDocument || !canvasRef.current) {
+      return;
+    }
+    let cancelled = false;
+    let renderTask = null;
+    let textLayer = null;
+    pdfDocument.getPage(pageNumber)
+      .then(async (page) => {
+        if (cancelled) {
+          return;
+        }
+        const canvas = canvasRef.current;
+        const viewport = page.getViewport({ scale: pixelScale });
+        const outputScale = window.devicePixelRatio || 1;
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+        renderTask = page.render({
+          canvas,
+          viewport,
+          transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : undefined,
+        });
+        await renderTask.promise;
+        const container = textLayerRef?.current;
+        if (cancelled || !container) {
+          return;
+        }
+        container.replaceChildren();
+        textLayer = new pdfjsLib.TextLayer({
+          textContentSource: page.streamTextContent(),
+          container,
+          viewport,
+        });
+        await textLayer.render();
+      })
+      .catch((err) => {
+        if (err?.name !== 'RenderingCancelledException' && err?.name !== 'AbortException') {
+          console.error(err);
+        }
+      });
+    return () => {
+      cancelled = true;
+      if (renderTask) {
+        renderTask.cancel();
+      }
+      if (textLayer) {
+        textLayer.cancel();
+      }
+    };
+  }, [visible, pdfDocument, pageNumber, pixelScale, canvasRef, textLayerRef]);
+};
+
+function PdfPage({
+  pdfDocument,
+  pageNumber,
+  size,
+  scale,
+  highlight,
+  searchHits,
+  activeHit,
+  scrollRoot,
+}) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const pixelScale = scale * PDF_CSS_UNITS;
+  const visible = useVisibility(containerRef, scrollRoot, '400px 0px');
+  usePageCanvas({
+    pdfDocument,
+    pageNumber,
+    pixelScale,
+    visible,
+    canvasRef,
+    textLayerRef,
+  });
+
+  const highlightRect = highlight && highlight.page === pageNumber
+    ? resolveHighlightRect(highlight.bbox, size)
+    : null;
+
+  const toPixelStyle = (rect) => ({
+    left: `${rect.left * pixelScale}px`,
+    top: `${rect.top * pixelScale}px`,
+    width: `${rect.width * pixelScale}px`,
+    height: `${rect.height * pixelScale}px`,
+  });
+
+  return (
+    <div
+      ref={containerRef}
+      className="pdf-page"
+      data-page-number={pageNumber}
+      style={{
+        width: `${Math.floor(size.width * pixelScale)}px`,
+        height: `${Math.floor(size.height * pixelScale)}px`,
+        '--scale-factor': pixelScale,
+        '--total-scale-factor': pixelScale,
+      }}
+    >
+      <canvas ref={canvasRef} className="pdf-page-canvas" />
+      <div ref={textLayerRef} className="textLayer" />
+      {searchHits.map((hit, hitIndex) => {
+        const rect = resolveHighlightRect(hit.bbox, size);
+        return rect ? (
+          <div
+            key={`${pageNumber}-${hitIndex}`}
+            className={`pdf-search-hit${hit === activeHit ? ' active' : ''}`}
+            style={toPixelStyle(rect)}
+          />
+        ) : null;
+      })}
+      {highlightRect && (
+        <div className="pdf-highlight" style={toPixelStyle(highlightRect)} />
+      )}
+      <span className="pdf-page-number">{pageNumber}</span>
+    </div>
+  );
+}
+
+function PdfThumbnail({ pdfDocument, pageNumber, size, active, railRoot, onSelect }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const pixelScale = THUMBNAIL_WIDTH / size.width;
+  const visible = useVisibility(containerRef, railRoot, '200px 0px');
+  usePageCanvas({
+    pdfDocument,
+    pageNumber,
+    pixelScale,
+    visible,
+    canvasRef,
+  });
+
+  return (
+    <button
+      ref={containerRef}
+      type="button"
+      className={`pdf-thumbnail${active ? ' active' : ''}`}
+      onClick={() => onSelect(pageNumber)}
+      aria-label={`Go to page ${pageNumber}`}
+    >
+      <span
+        className="pdf-thumbnail-canvas"
+        style={{ height: `${Math.floor(size.height * pixelScale)}px` }}
+      >
+        <canvas ref={canvasRef} />
+      </span>
+      <span className="pdf-thumbnail-label">{pageNumber}</span>
+    </button>
+  );
+}
+
+function PdfViewer({
+  data,
+  zoom,
+  fitMode = 'custom',
+  onZoomChange,
+  highlight,
+}) {
+  const [scrollRoot, setScrollRoot] = useState(null);
+  const [railRoot, setRailRoot] = useState(null);
+  const [pdfDocument, setPdfDocument] = useState(null);
+  const [pageSizes, setPageSizes] = useState([]);
+  const [loadError, setLoadError] = useState('');
+  const [viewportSize, setViewportSize] = useState({ width: 0, height: 0 });
+  const [currentPage, setCurrentPage] = useState(1);
+  const [showThumbnails, setShowThumbnails] = useState(true);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [textIndex, setTextIndex] = useState(null);
+  const [indexingText, setIndexingText] = useState(false);
+  const [activeHitIndex, setActiveHitIndex] = useState(0);
+  const searchInputRef = useRef(null);
+
+  useEffect(() => {
+    setTextIndex(null);
+    setCurrentPage(1);
+    setActiveHitIndex(0);
+    setLoadError('');
+    if (!data) {
+      setPdfDocument(null);
+      setPageSizes([]);
+      return;
+    }
+    let cancelled = false;
+    const loadingTask = pdfjsLib.getDocument({ data: decodeBase64(data) });
+    loadingTask.promise
+      .then(async (loadedDocument) => {
+        const sizes = await Promise.all(
+          Array.from({ length: loadedDocument.numPages }, (_, idx) => (
+            loadedDocument.getPage(idx + 1).then((page) => {
+              const viewport = page.getViewport({ scale: 1 });
+              return { width: viewport.width, height: viewport.height };
+            })
+          )),
+        );
+        if (cancelled) {
+          return;
+        }
+        setPdfDocument(loadedDocument);
+        setPageSizes(sizes);
+      })
+      .catch((err) => {
+        if (cancelled) {
+          return;
+        }
+        console.error(err);
+        setLoadError('The PDF could not be rendered in the viewer.');
+      });
+    return () => {
+      cancelled = true;
+      loadingTask.destroy();
+    };
+  }, [data]);
+
+  useEffect(() => {
+    if (!scrollRoot || typeof ResizeObserver === 'undefined') {
+      return;
+    }
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setViewportSize((prev) => (
+        prev.width === width && prev.height === height ? prev : { width, height }
+      ));
+    });
+    observer.observe(scrollRoot);
+    return () => {
+      observer.disconnect();
+    };
+  }, [scrollRoot]);
+
+  const effectiveZoom = useMemo(() => {
+    if (fitMode === 'custom' || !viewportSize.width || !pageSizes.length) {
+      return zoom;
+    }
+    const widest = Math.max(...pageSizes.map((size) => size.width));
+    const tallest = Math.max(...pageSizes.map((size) => size.height));
+    const widthZoom = (viewportSize.width - (PAGE_GUTTER * 2)) / (widest * PDF_CSS_UNITS);
+    if (fitMode === 'width') {
+      return Number(clampZoom(widthZoom).toFixed(2));
+    }
+    const heightZoom = (viewportSize.height - (PAGE_GUTTER * 2)) / (tallest * PDF_CSS_UNITS);
+    return Number(clampZoom(Math.min(widthZoom, heightZoom)).toFixed(2));
+  }, [fitMode, zoom, viewportSize, pageSizes]);
+
+  useEffect(() => {
+    if (fitMode !== 'custom' && onZoomChange && effectiveZoom !== zoom) {
+      onZoomChange(effectiveZoom);
+    }
+  }, [fitMode, effectiveZoom, zoom, onZoomChange]);
+
+  const scrollToRegion = useCallback((pageNumber, bbox) => {
+    if (!scrollRoot) {
+      return;
+    }
+    const pageElement = scrollRoot.querySelector(`[data-page-number="${pageNumber}"]`);
+    if (!pageElement) {
+      return;
+    }
+    const pixelScale = effectiveZoom * PDF_CSS_UNITS;
+    const rect = resolveHighlightRect(bbox, pageSizes[pageNumber - 1]);
+    const offsetWithinPage = rect ? rect.top * pixelScale : 0;
+    scrollRoot.scrollTo({
+      top: Math.max(0, pageElement.offsetTop + offsetWithinPage - HIGHLIGHT_SCROLL_MARGIN),
+      left: rect ? Math.max(0, pageElement.offsetLeft + (rect.left * pixelScale) - HIGHLIGHT_SCROLL_MARGIN) : 0,
+      behavior: 'smooth',
+    });
+  }, [scrollRoot, effectiveZoom, pageSizes]);
+
+  useEffect(() => {
+    if (!highlight || !pageSizes.length) {
+      return;
+    }
+    scrollToRegion(highlight.page, highlight.bbox);
+  }, [highlight, pageSizes, scrollToRegion]);
+
+  useEffect(() => {
+    if (!scrollRoot) {
+      return;
+    }
+    let frame = null;
+    const handleScroll = () => {
+      if (frame) {
+        return;
+      }
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        const marker = scrollRoot.scrollTop + (scrollRoot.clientHeight / 3);
+        const pageElements = scrollRoot.querySelectorAll('[data-page-number]');
+        let visiblePage = 1;
+        pageElements.forEach((element) => {
+          if (element.offsetTop <= marker) {
+            visiblePage = Number(element.dataset.pageNumber);
+          }
+        });
+        setCurrentPage(visiblePage);
+      });
+    };
+    scrollRoot.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      scrollRoot.removeEventListener('scroll', handleScroll);
+      if (frame) {
+        window.cancelAnimationFrame(frame);
+      }
+    };
+  }, [scrollRoot]);
+
+  useEffect(() => {
+    if (!searchOpen || textIndex || !pdfDocument) {
+      return;
+    }
+    let cancelled = false;
+    setIndexingText(true);
+    Promise.all(
+      Array.from({ length: pdfDocument.numPages }, (_, idx) => (
+        pdfDocument.getPage(idx + 1).then(buildPageTextIndex)
+      )),
+    )
+      .then((pages) => {
+        if (!cancelled) {
+          setTextIndex(pages);
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIndexingText(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [searchOpen, textIndex, pdfDocument]);
+
+  const searchHits = useMemo(() => (
+    searchOpen && textIndex ? findTextHits(textIndex, searchQuery) : []
+  ), [searchOpen, textIndex, searchQuery]);
+
+  const activeHit = searchHits.length
+    ? searchHits[Math.min(activeHitIndex, searchHits.length - 1)]
+    : null;
+
+  useEffect(() => {
+    setActiveHitIndex(0);
+  }, [searchQuery]);
+
+  useEffect(() => {
+    if (activeHit) {
+      scrollToRegion(activeHit.page, activeHit.bbox);
+    }
+  }, [activeHit, scrollToRegion]);
+
+  const hitsByPage = useMemo(() => {
+    const grouped = new Map();
+    searchHits.forEach((hit) => {
+      if (!grouped.has(hit.page)) {
+        grouped.set(hit.page, []);
+      }
+      grouped.get(hit.page).push(hit);
+    });
+    return grouped;
+  }, [searchHits]);
+
+  const openSearch = useCallback(() => {
+    setSearchOpen(true);
+    window.requestAnimationFrame(() => {
+      searchInputRef.current?.focus();
+      searchInputRef.current?.select();
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!pdfDocument) {
+      return;
+    }
+    const handleKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'f') {
+        event.preventDefault();
+        openSearch();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [pdfDocument, openSearch]);
+
+  const stepSearchHit = (direction) => {
+    if (!searchHits.length) {
+      return;
+    }
+    setActiveHitIndex((prev) => (prev + direction + searchHits.length) % searchHits.length);
+  };
+
+  const handleSearchKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      stepSearchHit(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      setSearchOpen(false);
+    }
+  };
+
+  const goToPage = (pageNumber) => {
+    scrollToRegion(pageNumber, null);
+    setCurrentPage(pageNumber);
+  };
+
+  if (loadError) {
+    return <div className="placeholder">{loadError}</div>;
+  }
+
+  const searchSummary = (() => {
+    if (!searchQuery.trim()) {
+      return '';
+    }
+    if (indexingText) {
+      return 'Indexing...';
+    }
+    if (!searchHits.length) {
+      return 'No matches';
+    }
+    return `${Math.min(activeHitIndex, searchHits.length - 1) + 1} of ${searchHits.length}`;
+  })();
+
+  return (
+    <div className="pdf-viewer">
+      <div className="pdf-viewer-toolbar">
+        <button
+          type="button"
+          className={`pdf-toolbar-button${showThumbnails ? ' active' : ''}`}
+          onClick={() => setShowThumbnails((prev) => !prev)}
+          disabled={!pdfDocument}
+        >
+          Pages
+        </button>
+        <span className="pdf-page-indicator">
+          {pageSizes.length ? `Page ${currentPage} of ${pageSizes.length}` : ''}
+        </span>
+        {searchOpen ? (
+          <div className="pdf-search-bar">
+            <input
+              ref={searchInputRef}
+              type="search"
+              value={searchQuery}
+              onChange={(event) => setSearchQuery(event.target.value)}
+              onKeyDown={handleSearchKeyDown}
+              placeholder="Find in PDF (e.g. Trade Receivables)"
+              aria-label="Find in PDF"
+            />
+            <span className="pdf-search-count">{searchSummary}</span>
+            <button
+              type="button"
+              className="pdf-toolbar-button"
+              onClick={() => stepSearchHit(-1)}
+              disabled={!searchHits.length}
+              aria-label="Previous match"
+            >
+              &#8593;
+            </button>
+            <button
+              type="button"
+              className="pdf-toolbar-button"
+              onClick={() => stepSearchHit(1)}
+              disabled={!searchHits.length}
+              aria-label="Next match"
+            >
+              &#8595;
+            </button>
+            <button
+              type="button"
+              className="pdf-toolbar-button"
+              onClick={() => setSearchOpen(false)}
+            >
+              Close
+            </button>
+          </div>
+        ) : (
+          <button
+            type="button"
+            className="pdf-toolbar-button"
+            onClick={openSearch}
+            disabled={!pdfDocument}
+            title="Find in PDF (Ctrl+F)"
+          >
+            Search
+          </button>
+        )}
+      </div>
+      <div className="pdf-viewer-body">
+        {showThumbnails && pdfDocument && (
+          <div className="pdf-thumbnail-rail" ref={setRailRoot}>
+            {pageSizes.map((size, idx) => (
+              <PdfThumbnail
+                key={idx + 1}
+                pdfDocument={pdfDocument}
+                pageNumber={idx + 1}
+                size={size}
+                active={currentPage === idx + 1}
+                railRoot={railRoot}
+                onSelect={goToPage}
+              />
+            ))}
+          </div>
+        )}
+        <div className="pdf-frame-scroll" ref={setScrollRoot}>
+          {pdfDocument && pageSizes.length ? (
+            <div className="pdf-pages">
+              {pageSizes.map((size, idx) => (
+                <PdfPage
+                  key={idx + 1}
+                  pdfDocument={pdfDocument}
+                  pageNumber={idx + 1}
+                  size={size}
+                  scale={effectiveZoom}
+                  highlight={highlight}
+                  searchHits={hitsByPage.get(idx + 1) || []}
+                  activeHit={activeHit}
+                  scrollRoot={scrollRoot}
+                />
+              ))}
+            </div>
+          ) : (
+            <div className="placeholder">Rendering PDF...</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PdfViewer;
@@ -0,0 +1,301 @@
+import axios from 'axios';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5005';
+const JOB_POLL_INTERVAL_MS = 2000;
+const TERMINAL_JOB_STATES = new Set(['completed', 'failed', 'cancelled']);
+const RETRY_BASE_DELAY_MS = 1000;
+const SERVER_DOWN_STATUSES = new Set([502, 503, 504]);
+
+export const DEFAULT_EXTRACTION_SETTINGS = { timeoutMinutes: 10, maxRetries: 3 };
+
+const resolveUrl = (path) => (/^https?:\/\//i.test(path) ? path : `${API_BASE_URL}${path}`);
+
+const createAbortError = () => {
+  const error = new Error('Extraction cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+const createJobError = (message) => {
+  const error = new Error(message || 'The server could not process this PDF.');
+  error.name = 'ExtractionJobError';
+  return error;
+};
+
+const createTimeoutError = (timeoutMs) => {
+  const error = new Error(`The server did not finish within ${Math.round(timeoutMs / 60000)} minute${timeoutMs === 60000 ? '' : 's'}.`);
+  error.name = 'ExtractionTimeoutError';
+  return error;
+};
+
+export const isCancelledError = (err) => axios.isCancel(err) || err?.name === 'AbortError' || err?.name === 'CanceledError';
+
+const isRetryableError = (err) => {
+  if (isCancelledError(err)) {
+    return false;
+  }
+  const status = err?.response?.status;
+  return !status ? Boolean(err?.isAxiosError) : status >= 500;
+};
+
+const readServerMessage = (err) => {
+  const data = err?.response?.data;
+  return typeof data?.error === 'string' ? data.error : '';
+};
+
+// Maps a failed extraction onto the categories shown to reviewers.
+export const describeExtractionError = (err) => {
+  if (isCancelledError(err)) {
+    return { category: 'cancelled', label: 'Cancelled', message: 'Extraction cancelled.' };
+  }
+  if (err?.name === 'ExtractionTimeoutError') {
+    return { category: 'timeout', label: 'Timed out', message: err.message };
+  }
+  const status = err?.response?.status;
+  const serverMessage = readServerMessage(err);
+  if (status === 413) {
+    return {
+      category: 'too-large',
+      label: 'File too large',
+      message: serverMessage || 'The PDF is larger than the server accepts. Split the report or compress it and try again.',
+    };
+  }
+  if (status === 415 || status === 422 || err?.name === 'ExtractionJobError') {
+    return {
+      category: 'unsupported',
+      label: 'Unsupported PDF',
+      message: serverMessage || err?.message || 'The server could not read this PDF. Scanned or password-protected files are not supported.',
+    };
+  }
+  if (!status && !err?.isAxiosError) {
+    return {
+      category: 'unknown',
+      label: 'Extraction failed',
+      message: err?.message || 'Failed to process PDF. Please try again.',
+    };
+  }
+  if (!status || SERVER_DOWN_STATUSES.has(status)) {
+    return {
+      category: 'server-down',
+      label: 'Server unavailable',
+      message: 'The extraction server could not be reached. Check that it is running and retry.',
+    };
+  }
+  return {
+    category: 'server-error',
+    label: 'Server error',
+    message: serverMessage || 'Failed to process PDF. Please try again.',
+  };
+};
+
+const wait = (milliseconds, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const handleAbort = () => {
+    clearTimeout(timeoutId);
+    reject(createAbortError());
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, milliseconds);
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+const normaliseJobStatus = (payload) => {
+  const percent = Number(payload?.percent ?? payload?.progress);
+  return {
+    source: 'job',
+    status: (payload?.status || payload?.state || '').toString().toLowerCase(),
+    stage: (payload?.stage || payload?.message || '').toString(),
+    percent: Number.isFinite(percent) ? Math.min(100, Math.max(0, Math.round(percent))) : null,
+    result: payload?.result || null,
+    error: payload?.error || '',
+  };
+};
+
+const withRetry = async (request, { signal, maxRetries = 0, onRetry }) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await request();
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryableError(err)) {
+        throw err;
+      }
+      const delay = RETRY_BASE_DELAY_MS * (2 ** attempt);
+      onRetry?.({ attempt: attempt + 1, maxRetries, delay, error: err });
+      await wait(delay, signal);
+    }
+  }
+};
+
+const isExtractionPayload = (data) => Boolean(data) && typeof data === 'object' && Array.isArray(data.lineItems);
+
+const pollJob = async (job, { signal, onProgress, maxRetries }) => {
+  const statusUrl = resolveUrl(job.statusUrl || `/api/jobs/${job.jobId}`);
+  for (;;) {
+    const response = await withRetry(() => axios.get(statusUrl, { signal }), { signal, maxRetries });
+    const jobStatus = normaliseJobStatus(response.data);
+    onProgress?.(jobStatus);
+    if (TERMINAL_JOB_STATES.has(jobStatus.status)) {
+      return jobStatus;
+    }
+    await wait(JOB_POLL_INTERVAL_MS, signal);
+  }
+};
+
+const streamJob = (job, { signal, onProgress }) => new Promise((resolve, reject) => {
+  const source = new EventSource(resolveUrl(job.eventsUrl));
+  const close = () => {
+    source.close();
+    signal?.removeEventListener('abort', handleAbort);
+  };
+  const handleAbort = () => {
+    close();
+    reject(createAbortError());
+  };
+  signal?.addEventListener('abort', handleAbort, { once: true });
+  source.onmessage = (event) => {
+    let payload = null;
+    try {
+      payload = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    const jobStatus = normaliseJobStatus(payload);
+    onProgress?.(jobStatus);
+    if (TERMINAL_JOB_STATES.has(jobStatus.status)) {
+      close();
+      resolve(jobStatus);
+    }
+  };
+  source.onerror = () => {
+    close();
+    reject(new Error('The progress stream was interrupted.'));
+  };
+});
+
+const waitForJob = async (job, options) => {
+  if (job.eventsUrl && typeof EventSource !== 'undefined') {
+    try {
+      return await streamJob(job, options);
+    } catch (err) {
+      if (isCancelledError(err)) {
+        throw err;
+      }
+      console.warn('Falling back to polling for extraction progress.', err);
+    }
+  }
+  return pollJob(job, options);
+};
+
+const cancelJob = (job) => axios.delete(resolveUrl(job.cancelUrl || `/api/jobs/${job.jobId}`))
+  .catch((err) => {
+    console.warn('Unable to cancel the extraction job on the server.', err);
+  });
+
+// Asks for an asynchronous job through the `async` form field. Servers that support
+// it answer 202 with { jobId, statusUrl?, eventsUrl?, resultUrl?, cancelUrl? }; older
+// servers ignore the field and return the extraction itself.
+const requestExtraction = async (file, { signal, onProgress, maxRetries, hints }) => {
+  const response = await withRetry(() => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('async', 'true');
+    Object.entries(hints).forEach(([field, value]) => {
+      if (value) {
+        formData.append(field, value);
+      }
+    });
+    return axios.post(
+      `${API_BASE_URL}/api/process`,
+      formData,
+      {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        signal,
+        onUploadProgress: (event) => {
+          if (event.total) {
+            onProgress?.({
+              source: 'upload',
+              stage: 'Uploading PDF to the server...',
+              percent: Math.round((event.loaded / event.total) * 100),
+            });
+          }
+        },
+      },
+    );
+  }, {
+    signal,
+    maxRetries,
+    onRetry: ({ attempt, delay }) => onProgress?.({
+      source: 'retry',
+      stage: `Connection problem - retrying in ${Math.round(delay / 1000)}s (attempt ${attempt} of ${maxRetries})...`,
+      percent: null,
+    }),
+  });
+
+  const job = response.data;
+  if (response.status !== 202 || !job?.jobId) {
+    return response.data;
+  }
+
+  onProgress?.({ source: 'job', status: 'queued', stage: 'Waiting for the server to start...', percent: null });
+  try {
+    const finalStatus = await waitForJob(job, { signal, onProgress, maxRetries });
+    if (finalStatus.status === 'cancelled') {
+      throw createAbortError();
+    }
+    if (finalStatus.status === 'failed') {
+      throw createJobError(finalStatus.error);
+    }
+    if (isExtractionPayload(finalStatus.result)) {
+      return finalStatus.result;
+    }
+    const resultResponse = await withRetry(() => axios.get(
+      resolveUrl(job.resultUrl || `/api/jobs/${job.jobId}/result`),
+      { signal },
+    ), { signal, maxRetries });
+    return resultResponse.data;
+  } catch (err) {
+    if (isCancelledError(err)) {
+      cancelJob(job);
+    }
+    throw err;
+  }
+};
+
+// `hints` are extra form fields, e.g. { statement, pages } to re-read part of a report.
+export const runExtraction = async (file, {
+  signal,
+  onProgress,
+  hints = {},
+  timeoutMs = DEFAULT_EXTRACTION_SETTINGS.timeoutMinutes * 60000,
+  maxRetries = DEFAULT_EXTRACTION_SETTINGS.maxRetries,
+} = {}) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const handleAbort = () => controller.abort();
+  if (signal?.aborted) {
+    controller.abort();
+  }
+  signal?.addEventListener('abort', handleAbort, { once: true });
+  const timeoutId = timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs)
+    : null;
+  try {
+    return await requestExtraction(file, { signal: controller.signal, onProgress, maxRetries, hints });
+  } catch (err) {
+    if (timedOut && isCancelledError(err)) {
+      throw createTimeoutError(timeoutMs);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', handleAbort);
+  }
+};
@@ -0,0 +1,378 @@
+// Formula language for manual SOP calculations, e.g.
+//   ([Cash Flows]."Cash generated from operations" - [Cash Flows]."Capital expenditure"@"Q3 2024") / {Shares outstanding}
+// [Statement]."Line item"@"Column" reads a statement value (the column is optional),
+// {Metric} reads another SOP metric, and SUM, ABS, MIN, MAX and IF are available.
+
+const OPERATOR_ALIASES = { '−': '-', '–': '-', '×': '*', '÷': '/' };
+const COMPARISON_OPERATORS = ['<=', '>=', '<>', '<', '>', '='];
+const SINGLE_CHAR_TOKENS = new Set(['+', '-', '*', '/', '(', ')', ',', '.', '@']);
+const BUILDER_OPERATORS = ['+', '-', '*', '/'];
+
+const FUNCTIONS = {
+  SUM: { minArgs: 1, apply: (args) => args.reduce((total, value) => total + value, 0) },
+  ABS: { minArgs: 1, maxArgs: 1, apply: ([value]) => Math.abs(value) },
+  MIN: { minArgs: 1, apply: (args) => Math.min(...args) },
+  MAX: { minArgs: 1, apply: (args) => Math.max(...args) },
+  IF: { minArgs: 3, maxArgs: 3 },
+};
+
+const createFormulaError = (message, position = null) => {
+  const error = new Error(position === null ? message : `${message} at character ${position + 1}.`);
+  error.name = 'FormulaError';
+  error.position = position;
+  return error;
+};
+
+const readDelimited = (text, start, closing, description) => {
+  let value = '';
+  let index = start + 1;
+  while (index < text.length) {
+    const char = text[index];
+    if (char === closing) {
+      // A doubled closing character stands for the character itself.
+      if (closing === '"' && text[index + 1] === '"') {
+        value += '"';
+        index += 2;
+        continue;
+      }
+      return { value, end: index + 1 };
+    }
+    value += char;
+    index += 1;
+  }
+  throw createFormulaError(`Unterminated ${description}`, start);
+};
+
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = OPERATOR_ALIASES[text[index]] || text[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (/[0-9.]/.test(char) && /[0-9]/.test(char === '.' ? text[index + 1] || '' : char)) {
+      const match = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(index));
+      tokens.push({ type: 'number', value: Number(match[0]), position: index });
+      index += match[0].length;
+      continue;
+    }
+    if (char === '"' || char === '[' || char === '{') {
+      const [type, closing, description] = {
+        '"': ['string', '"', 'quoted text'],
+        '[': ['statement', ']', 'statement name'],
+        '{': ['metric', '}', 'metric reference'],
+      }[char];
+      const { value, end } = readDelimited(text, index, closing, description);
+      tokens.push({ type, value: value.trim(), position: index });
+      index = end;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(index));
+      tokens.push({ type: 'name', value: match[0].toUpperCase(), position: index });
+      index += match[0].length;
+      continue;
+    }
+    const comparison = COMPARISON_OPERATORS.find((operator) => text.startsWith(operator, index));
+    if (comparison) {
+      tokens.push({ type: 'operator', value: comparison, position: index });
+      index += comparison.length;
+      continue;
+    }
+    if (SINGLE_CHAR_TOKENS.has(char)) {
+      tokens.push({ type: 'operator', value: char, position: index });
+      index += 1;
+      continue;
+    }
+    throw createFormulaError(`Unexpected "${text[index]}"`, index);
+  }
+  tokens.push({ type: 'end', value: '', position: text.length });
+  return tokens;
+};
+
+const describeToken = (token) => {
+  if (token.type === 'end') return 'end of formula';
+  if (token.type === 'string') return `"${token.value}"`;
+  if (token.type === 'statement') return `[${token.value}]`;
+  if (token.type === 'metric') return `{${token.value}}`;
+  return `"${token.value}"`;
+};
+
+const parseTokens = (tokens) => {
+  let cursor = 0;
+  const peek = () => tokens[cursor];
+  const next = () => tokens[cursor++];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const fail = (expected) => {
+    const token = peek();
+    throw createFormulaError(`Expected ${expected} but found ${describeToken(token)}`, token.position);
+  };
+  const expectOperator = (value) => {
+    if (!isOperator(value)) {
+      fail(`"${value}"`);
+    }
+    return next();
+  };
+
+  let parseComparison;
+
+  const parseReference = (statementToken) => {
+    if (!statementToken.value) {
+      throw createFormulaError('Statement name is empty', statementToken.position);
+    }
+    expectOperator('.');
+    if (peek().type !== 'string') {
+      fail('a quoted line item');
+    }
+    const lineItem = next().value;
+    let column = '';
+    if (isOperator('@')) {
+      next();
+      if (peek().type !== 'string') {
+        fail('a quoted column');
+      }
+      column = next().value;
+    }
+    return { type: 'reference', statement: statementToken.value, lineItem, column };
+  };
+
+  const parseCall = (nameToken) => {
+    const definition = FUNCTIONS[nameToken.value];
+    if (!definition) {
+      throw createFormulaError(`Unknown function ${nameToken.value}`, nameToken.position);
+    }
+    expectOperator('(');
+    const args = [];
+    if (!isOperator(')')) {
+      args.push(parseComparison());
+      while (isOperator(',')) {
+        next();
+        args.push(parseComparison());
+      }
+    }
+    expectOperator(')');
+    if (args.length < definition.minArgs || (definition.maxArgs && args.length > definition.maxArgs)) {
+      const expected = definition.maxArgs === definition.minArgs
+        ? `${definition.minArgs}`
+        : `at least ${definition.minArgs}`;
+      throw createFormulaError(`${nameToken.value} takes ${expected} argument${definition.minArgs === 1 ? '' : 's'}`, nameToken.position);
+    }
+    return { type: 'call', name: nameToken.value, args };
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.type === 'number') {
+      next();
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'statement') {
+      next();
+      return parseReference(token);
+    }
+    if (token.type === 'metric') {
+      next();
+      if (!token.value) {
+        throw createFormulaError('Metric name is empty', token.position);
+      }
+      return { type: 'metric', name: token.value };
+    }
+    if (token.type === 'name') {
+      next();
+      return parseCall(token);
+    }
+    if (isOperator('(')) {
+      next();
+      const expression = parseComparison();
+      expectOperator(')');
+      return expression;
+    }
+    return fail('a number, reference or "("');
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-') || isOperator('+')) {
+      const operator = next().value;
+      const operand = parseUnary();
+      return operator === '-' ? { type: 'negate', operand } : operand;
+    }
+    return parsePrimary();
+  };
+
+  const parseBinary = (parseOperand, operators) => () => {
+    let left = parseOperand();
+    while (peek().type === 'operator' && operators.includes(peek().value)) {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseTerm = parseBinary(parseUnary, ['*', '/']);
+  const parseAdditive = parseBinary(parseTerm, ['+', '-']);
+  parseComparison = () => {
+    const left = parseAdditive();
+    if (peek().type === 'operator' && COMPARISON_OPERATORS.includes(peek().value)) {
+      const operator = next().value;
+      return { type: 'binary', operator, left, right: parseAdditive() };
+    }
+    return left;
+  };
+
+  const ast = parseComparison();
+  if (peek().type !== 'end') {
+    fail('an operator');
+  }
+  return ast;
+};
+
+// Returns { ast, error } so editors can show syntax problems while the analyst types.
+export const parseFormula = (text) => {
+  const source = (text || '').toString();
+  if (!source.trim()) {
+    return { ast: null, error: createFormulaError('Enter a formula.') };
+  }
+  try {
+    return { ast: parseTokens(tokenize(source)), error: null };
+  } catch (err) {
+    if (err?.name !== 'FormulaError') {
+      throw err;
+    }
+    return { ast: null, error: err };
+  }
+};
+
+export const collectFormulaMetrics = (ast) => {
+  const metrics = [];
+  const visit = (node) => {
+    if (!node) return;
+    if (node.type === 'metric') metrics.push(node.name);
+    if (node.type === 'negate') visit(node.operand);
+    if (node.type === 'binary') {
+      visit(node.left);
+      visit(node.right);
+    }
+    if (node.type === 'call') node.args.forEach(visit);
+  };
+  visit(ast);
+  return metrics;
+};
+
+export const formatFormulaReference = ({ statement, lineItem, column }) => {
+  const quote = (value) => `"${value.replace(/"/g, '""')}"`;
+  return `[${statement}].${quote(lineItem)}${column ? `@${quote(column)}` : ''}`;
+};
+
+const applyBinary = (operator, left, right) => {
+  switch (operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/':
+      if (right === 0) {
+        throw createFormulaError('Division by zero.');
+      }
+      return left / right;
+    case '<': return Number(left < right);
+    case '>': return Number(left > right);
+    case '<=': return Number(left <= right);
+    case '>=': return Number(left >= right);
+    case '=': return Number(left === right);
+    case '<>': return Number(left !== right);
+    default: throw createFormulaError(`Unknown operator ${operator}.`);
+  }
+};
+
+// Resolvers return a number, or null when the value is missing. Comparisons yield 1 or 0,
+// and IF treats any non-zero condition as true. `onNode` sees every evaluated node with
+// its value, which is how derivations are traced. Throws a FormulaError on failure.
+export const evaluateFormula = (ast, { resolveReference, resolveMetric, onNode }) => {
+  let evaluate;
+  const evaluateNode = (node) => {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'negate':
+        return -evaluate(node.operand);
+      case 'binary':
+        return applyBinary(node.operator, evaluate(node.left), evaluate(node.right));
+      case 'reference': {
+        const value = resolveReference(node);
+        if (value === null || typeof value === 'undefined') {
+          throw createFormulaError(`No value found for ${formatFormulaReference(node)}.`);
+        }
+        return value;
+      }
+      case 'metric': {
+        const value = resolveMetric(node.name);
+        if (value === null || typeof value === 'undefined') {
+          throw createFormulaError(`SOP metric {${node.name}} has no value.`);
+        }
+        return value;
+      }
+      case 'call':
+        if (node.name === 'IF') {
+          return evaluate(node.args[0]) !== 0 ? evaluate(node.args[1]) : evaluate(node.args[2]);
+        }
+        return FUNCTIONS[node.name].apply(node.args.map(evaluate));
+      default:
+        throw createFormulaError(`Unsupported expression ${node.type}.`);
+    }
+  };
+  evaluate = (node) => {
+    const value = evaluateNode(node);
+    onNode?.(node, value);
+    return value;
+  };
+  const result = evaluate(ast);
+  if (!Number.isFinite(result)) {
+    throw createFormulaError('The formula did not produce a finite number.');
+  }
+  return result;
+};
+
+// The step builder applies its steps strictly left to right, so earlier steps are
+// wrapped in parentheses wherever precedence would otherwise change the result.
+// Returns '' while the steps are incomplete.
+export const compileStepsToFormula = (entry, parseNumber) => {
+  const toLiteral = (text) => {
+    const numeric = parseNumber(text);
+    return numeric === null ? null : numeric.toString();
+  };
+  const toReference = (statement, lineItem, column) => (
+    statement && lineItem ? formatFormulaReference({ statement, lineItem, column }) : null
+  );
+  const entryStatement = (entry?.statement || '').trim();
+  const valueText = (entry?.value || '').toString().trim();
+  let expression = valueText
+    ? toLiteral(valueText)
+    : toReference(entryStatement, (entry?.lineItem || '').trim(), (entry?.column || '').trim());
+  if (!expression) {
+    return '';
+  }
+  let additive = false;
+  const steps = Array.isArray(entry.calculation) ? entry.calculation : [];
+  for (let index = 0; index < steps.length; index += 1) {
+    const step = steps[index];
+    if (!step || typeof step !== 'object') {
+      continue;
+    }
+    const constant = (step.constant || '').toString().trim();
+    const operand = constant
+      ? toLiteral(constant)
+      : toReference((step.statement || '').trim() || entryStatement, (step.lineItem || '').trim(), (step.column || '').trim());
+    if (!operand) {
+      return '';
+    }
+    const operator = BUILDER_OPERATORS.includes(step.operator) ? step.operator : '+';
+    const multiplicative = operator === '*' || operator === '/';
+    if (multiplicative && additive) {
+      expression = `(${expression})`;
+    }
+    expression = `${expression} ${operator} ${operand}`;
+    additive = !multiplicative;
+  }
+  return expression;
+};
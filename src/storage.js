@@ -0,0 +1,188 @@
+const DB_NAME = 'financial-qc-workbench';
+const DB_VERSION = 3;
+const SESSION_STORE = 'sessions';
+const SESSION_PDF_STORE = 'sessionPdfs';
+const PERIOD_STORE = 'periods';
+const COMPANY_INDEX = 'companyKey';
+
+let databasePromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Reports can share a file name, so a session is keyed by the name plus a
+// fingerprint (length and FNV-1a hash) of the PDF it was extracted from.
+export const buildSessionKey = (pdfName, pdfBase64) => {
+  if (!pdfName) {
+    return '';
+  }
+  const content = pdfBase64 || '';
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < content.length; index += 1) {
+    hash ^= content.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${pdfName}::${content.length.toString(36)}-${(hash >>> 0).toString(36)}`;
+};
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+  }
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PERIOD_STORE)) {
+          const periods = db.createObjectStore(PERIOD_STORE, { keyPath: 'id' });
+          periods.createIndex(COMPANY_INDEX, COMPANY_INDEX, { unique: false });
+        }
+        if (event.oldVersion < 3 && db.objectStoreNames.contains(SESSION_STORE)) {
+          // Version 2 kept one record per file name with the PDF inline.
+          const legacy = request.transaction.objectStore(SESSION_STORE).getAll();
+          legacy.onsuccess = () => {
+            db.deleteObjectStore(SESSION_STORE);
+            const sessions = db.createObjectStore(SESSION_STORE, { keyPath: 'sessionKey' });
+            const pdfs = db.createObjectStore(SESSION_PDF_STORE, { keyPath: 'sessionKey' });
+            (legacy.result || []).forEach(({ pdfBase64, ...session }) => {
+              const sessionKey = buildSessionKey(session.pdfName, pdfBase64);
+              sessions.put({ ...session, sessionKey });
+              if (pdfBase64) {
+                pdfs.put({ sessionKey, pdfBase64 });
+              }
+            });
+          };
+          return;
+        }
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          db.createObjectStore(SESSION_STORE, { keyPath: 'sessionKey' });
+        }
+        if (!db.objectStoreNames.contains(SESSION_PDF_STORE)) {
+          db.createObjectStore(SESSION_PDF_STORE, { keyPath: 'sessionKey' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+const withStore = async (storeNames, mode, callback) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeNames, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const stores = (Array.isArray(storeNames) ? storeNames : [storeNames])
+    .map((storeName) => transaction.objectStore(storeName));
+  const result = await requestToPromise(callback(...stores));
+  await completed;
+  return result;
+};
+
+// The PDF is stored apart from the document state so autosave only rewrites the
+// state; pass pdfBase64 on the first save of a session.
+export const saveSession = (session, pdfBase64 = '') => {
+  if (!session || !session.sessionKey) {
+    return Promise.resolve();
+  }
+  const { pdfBase64: _omitPdfBase64, ...state } = session;
+  return withStore([SESSION_STORE, SESSION_PDF_STORE], 'readwrite', (sessions, pdfs) => {
+    if (pdfBase64) {
+      pdfs.put({ sessionKey: session.sessionKey, pdfBase64 });
+    }
+    return sessions.put({
+      ...state,
+      savedAt: Date.now(),
+    });
+  });
+};
+
+export const loadSession = (sessionKey) => {
+  if (!sessionKey) {
+    return Promise.resolve(null);
+  }
+  return Promise.all([
+    withStore(SESSION_STORE, 'readonly', (store) => store.get(sessionKey)),
+    withStore(SESSION_PDF_STORE, 'readonly', (store) => store.get(sessionKey)),
+  ]).then(([session, pdf]) => (session ? { ...session, pdfBase64: pdf?.pdfBase64 || '' } : null));
+};
+
+export const listSessions = () => withStore(SESSION_STORE, 'readonly', (store) => store.getAll())
+  .then((sessions) => (Array.isArray(sessions) ? sessions : [])
+    .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0)));
+
+export const deleteSession = (sessionKey) => {
+  if (!sessionKey) {
+    return Promise.resolve();
+  }
+  return withStore([SESSION_STORE, SESSION_PDF_STORE], 'readwrite', (sessions, pdfs) => {
+    pdfs.delete(sessionKey);
+    return sessions.delete(sessionKey);
+  });
+};
+
+const toKey = (value) => (value || '').toString().trim().toLowerCase();
+
+// One record per company and fiscal period; saving the same period again replaces it.
+export const savePeriodSummary = (record) => {
+  const companyKey = toKey(record?.company);
+  const periodKey = toKey(record?.period);
+  if (!companyKey || !periodKey) {
+    return Promise.reject(new Error('A company and fiscal period are required.'));
+  }
+  return withStore(PERIOD_STORE, 'readwrite', (store) => store.put({
+    ...record,
+    id: `${companyKey}::${periodKey}`,
+    companyKey,
+    savedAt: Date.now(),
+  }));
+};
+
+export const loadPeriodSummary = (company, period) => {
+  const companyKey = toKey(company);
+  const periodKey = toKey(period);
+  if (!companyKey || !periodKey) {
+    return Promise.resolve(null);
+  }
+  return withStore(PERIOD_STORE, 'readonly', (store) => store.get(`${companyKey}::${periodKey}`))
+    .then((record) => record || null);
+};
+
+export const listCompanies = () => withStore(PERIOD_STORE, 'readonly', (store) => store.getAll())
+  .then((records) => {
+    const companies = new Map();
+    (Array.isArray(records) ? records : []).forEach((record) => {
+      const existing = companies.get(record.companyKey);
+      companies.set(record.companyKey, {
+        companyKey: record.companyKey,
+        company: existing?.company || record.company,
+        periods: (existing?.periods || 0) + 1,
+      });
+    });
+    return Array.from(companies.values()).sort((a, b) => a.company.localeCompare(b.company));
+  });
+
+export const listCompanyPeriods = (companyKey) => {
+  if (!companyKey) {
+    return Promise.resolve([]);
+  }
+  return withStore(PERIOD_STORE, 'readonly', (store) => store.index(COMPANY_INDEX).getAll(companyKey))
+    .then((records) => (Array.isArray(records) ? records : []));
+};
+
+export const deletePeriodSummary = (id) => {
+  if (!id) {
+    return Promise.resolve();
+  }
+  return withStore(PERIOD_STORE, 'readwrite', (store) => store.delete(id));
+};
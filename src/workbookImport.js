@@ -0,0 +1,138 @@
+import * as XLSX from 'xlsx';
+
+const SOP_SHEET_NAME = 'SOP_Summary';
+export const COVER_SHEET_NAME = 'Report';
+const NON_STATEMENT_SHEETS = new Set([COVER_SHEET_NAME, SOP_SHEET_NAME, 'Audit Log']);
+const HEADER_SEARCH_ROWS = 10;
+
+const toText = (value) => (value === null || typeof value === 'undefined' ? '' : value.toString().trim());
+
+const normaliseHeader = (value) => toText(value).toLowerCase();
+
+// Exported column headers carry their unit, e.g. "Q1 2024 [USD Mn]".
+const stripUnitSuffix = (value) => toText(value).replace(/\s*\[[^\]]*\]$/, '');
+
+// Mirrors the sheet-name rules the export applies, so statements can be matched to sheets.
+export const toSheetKey = (name) => toText(name).replace(/[/?*[\]]/g, '').slice(0, 31).trim().toLowerCase();
+
+const readSheetRows = (sheet) => XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true });
+
+// Hand-edited copies sometimes gain a title row or two, so the header is searched for.
+const findHeaderRow = (rows, headerName) => rows
+  .slice(0, HEADER_SEARCH_ROWS)
+  .findIndex((row) => row.some((cell) => normaliseHeader(cell) === headerName));
+
+const readStatementSheet = (sheetName, sheet) => {
+  const rows = readSheetRows(sheet);
+  const headerIndex = findHeaderRow(rows, 'line item');
+  if (headerIndex === -1) {
+    return null;
+  }
+  const header = rows[headerIndex];
+  const labelIndex = header.findIndex((cell) => normaliseHeader(cell) === 'line item');
+  const columns = header
+    .map((cell, index) => ({ name: stripUnitSuffix(cell), index }))
+    .filter((column) => column.index !== labelIndex && column.name);
+  const lineItems = rows.slice(headerIndex + 1)
+    .map((row) => ({
+      lineItem: toText(row[labelIndex]),
+      values: Object.fromEntries(columns.map((column) => [column.name, toText(row[column.index])])),
+    }))
+    .filter((row) => row.lineItem || Object.values(row.values).some(Boolean));
+  return {
+    name: sheetName,
+    columns: columns.map((column) => column.name),
+    rows: lineItems,
+  };
+};
+
+const SOP_FIELD_HEADERS = {
+  metric: ['metric'],
+  value: ['latest quarter', 'value'],
+  statement: ['statement'],
+  column: ['source column'],
+  sourceLine: ['source line item'],
+};
+
+// Only the metric block is read; the identity checks below it start after a blank row.
+const readSopSheet = (sheet) => {
+  const rows = readSheetRows(sheet);
+  const headerIndex = findHeaderRow(rows, 'metric');
+  if (headerIndex === -1) {
+    return [];
+  }
+  const header = rows[headerIndex].map(normaliseHeader);
+  const fieldIndex = Object.fromEntries(Object.entries(SOP_FIELD_HEADERS).map(([field, names]) => [
+    field,
+    header.findIndex((cell) => names.includes(cell)),
+  ]));
+  const entries = [];
+  for (let index = headerIndex + 1; index < rows.length; index += 1) {
+    const row = rows[index];
+    const metric = toText(row[fieldIndex.metric]);
+    if (!metric) {
+      break;
+    }
+    const readField = (field) => (fieldIndex[field] === -1 ? '' : toText(row[fieldIndex[field]]));
+    entries.push({
+      metric,
+      value: readField('value') || '-',
+      statement: readField('statement'),
+      column: readField('column'),
+      sourceLine: readField('sourceLine'),
+    });
+  }
+  return entries;
+};
+
+// The cover sheet is a two-column Field / Value list.
+const readCoverSheet = (sheet) => Object.fromEntries(
+  readSheetRows(sheet)
+    .map((row) => [toText(row[0]), toText(row[1])])
+    .filter(([field, value]) => field && value && normaliseHeader(field) !== 'field'),
+);
+
+// Sheet names are truncated on export, so full statement names are recovered from the
+// SOP summary (or statements the caller already knows) where they match.
+export const workbookToLineItems = (workbook, knownStatements = []) => {
+  const candidates = [...knownStatements, ...workbook.sopSummary.map((entry) => entry.statement)].filter(Boolean);
+  const stamp = Date.now();
+  const valueColumns = [];
+  const lineItems = [];
+  const statements = workbook.statements.map((statement) => {
+    const name = candidates.find((candidate) => toSheetKey(candidate) === toSheetKey(statement.name)) || statement.name;
+    statement.columns.forEach((column) => {
+      if (!valueColumns.includes(column)) {
+        valueColumns.push(column);
+      }
+    });
+    const rows = statement.rows.map((row, index) => ({
+      ...row.values,
+      rowId: `xlsx-${stamp}-${lineItems.length + index}`,
+      statement: name,
+      lineItem: row.lineItem,
+    }));
+    lineItems.push(...rows);
+    return { name, columns: statement.columns, lineItems: rows };
+  });
+  return { lineItems, valueColumns, statements };
+};
+
+export const readVerifiedWorkbook = (data) => {
+  let workbook;
+  try {
+    workbook = XLSX.read(data, { type: 'array' });
+  } catch {
+    throw new Error('The selected file is not a readable Excel workbook.');
+  }
+  const statements = workbook.SheetNames
+    .filter((sheetName) => !NON_STATEMENT_SHEETS.has(sheetName))
+    .map((sheetName) => readStatementSheet(sheetName, workbook.Sheets[sheetName]))
+    .filter((statement) => statement && statement.rows.length);
+  const sopSummary = workbook.Sheets[SOP_SHEET_NAME] ? readSopSheet(workbook.Sheets[SOP_SHEET_NAME]) : [];
+  if (!statements.length && !sopSummary.length) {
+    throw new Error('No statement sheets or SOP summary were found. Choose a workbook exported by the workbench.');
+  }
+  const cover = workbook.Sheets[COVER_SHEET_NAME] ? readCoverSheet(workbook.Sheets[COVER_SHEET_NAME]) : {};
+  return { statements, sopSummary, cover };
+};